@@ -1,12 +1,78 @@
 import express from 'express';
+import multer from 'multer';
+import { resolveFormatting } from 'document-template-generator-shared';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
-import { validateUserData } from '../utils/validation.js';
-import { uploadFile, getSignedUrl } from '../services/storageService.js';
-import { generateDocument } from '../services/documentGenerator.js';
+import { uploadLimiter } from '../middleware/rateLimiter.js';
+import { validateUserData, validateImageFile } from '../utils/validation.js';
+import { uploadFile, downloadFile, getSignedUrl, deleteFiles } from '../services/storageService.js';
+import { generateDocument, OUTPUT_FORMATS } from '../services/documentGenerator.js';
+import { loadDocumentImages } from '../services/assetService.js';
+import { getUserFormatting } from '../services/settingsService.js';
+import { allocateDocumentNumber } from '../services/numberingService.js';
+import { getImageInfo } from '../utils/imageHelpers.js';
 
 const router = express.Router();
 
+// Draft documents are watermarked; see watermarkService.js
+const DOCUMENT_STATUSES = ['draft', 'final'];
+
+// Postgres error code for a unique index violation
+const UNIQUE_VIOLATION = '23505';
+
+// Configure multer for memory storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+});
+
+/**
+ * Upload an image for an image form field
+ * POST /api/documents/images
+ */
+router.post('/images', authenticateUser, uploadLimiter, upload.single('file'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    // Validate file
+    const validation = validateImageFile(req.file);
+    const imageInfo = validation.valid ? getImageInfo(req.file.buffer) : null;
+    if (!validation.valid || !imageInfo) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: validation.valid ? 'Image could not be read' : validation.errors.join(', '),
+        },
+      });
+    }
+
+    // Upload file to storage
+    const uploadResult = await uploadFile(
+      req.file.buffer,
+      req.file.originalname,
+      userId,
+      'images',
+      imageInfo.contentType
+    );
+
+    res.status(201).json({
+      success: true,
+      image: {
+        path: uploadResult.path,
+        name: req.file.originalname,
+        contentType: imageInfo.contentType,
+        width: imageInfo.width,
+        height: imageInfo.height,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Generate a new document from template
  * POST /api/documents/generate
@@ -14,9 +80,9 @@ const router = express.Router();
 router.post('/generate', authenticateUser, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { templateId, name, userData } = req.body;
+    const { templateId, name, userData: submittedData, status = 'final', outputFormats } = req.body;
 
-    if (!templateId || !name || !userData) {
+    if (!templateId || !name || !submittedData) {
       return res.status(400).json({
         success: false,
         error: {
@@ -26,6 +92,27 @@ router.post('/generate', authenticateUser, async (req, res, next) => {
       });
     }
 
+    if (!DOCUMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Status must be one of: ${DOCUMENT_STATUSES.join(', ')}`,
+        },
+      });
+    }
+
+    const extraFormats = getExtraFormats(outputFormats);
+    if (!extraFormats) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_OUTPUT_FORMAT',
+          message: `Output formats must be from: ${OUTPUT_FORMATS.join(', ')}`,
+        },
+      });
+    }
+
     // Get template
     const { data: template, error: templateError } = await supabaseAdmin
       .from('templates')
@@ -44,8 +131,10 @@ router.post('/generate', authenticateUser, async (req, res, next) => {
       });
     }
 
-    // Validate user data against schema
-    const validation = validateUserData(userData, template.schema_json);
+    // Validate user data against schema, with "today" in the template's time zone
+    const userFormatting = await getUserFormatting(userId);
+    const formatting = resolveFormatting(userFormatting, template.structure_json?.metadata?.formatting);
+    const validation = validateUserData(submittedData, template.schema_json, formatting);
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -53,12 +142,26 @@ router.post('/generate', authenticateUser, async (req, res, next) => {
           code: 'INVALID_USER_DATA',
           message: 'User data validation failed',
           details: validation.errors,
+          fields: validation.fieldErrors,
         },
       });
     }
 
+    // Computed fields are always taken from the server-side evaluation
+    const userData = validation.data;
+
+    // Take the next reference number, if the template is numbered
+    const documentNumber = await allocateDocumentNumber(template, userData, formatting);
+
     // Generate document
-    const documentBuffer = await generateDocument(template, userData, null);
+    const images = await loadDocumentImages(template, userData, userId);
+    const masterBuffer = await loadMasterDocx(template);
+    const generateOptions = {
+      images,
+      formatting: userFormatting,
+      document: { number: documentNumber, status, revision: 1, generatedAt: new Date().toISOString() },
+    };
+    const documentBuffer = await generateDocument(template, userData, masterBuffer, generateOptions);
 
     // Upload to storage
     const fileName = `${name.replace(/[^a-zA-Z0-9]/g, '_')}.docx`;
@@ -68,6 +171,7 @@ router.post('/generate', authenticateUser, async (req, res, next) => {
       userId,
       'generated'
     );
+    const outputFiles = await saveOutputFiles(extraFormats, template, userData, userId, name, generateOptions);
 
     // Save to database
     const { data: document, error: createError } = await supabaseAdmin
@@ -78,23 +182,45 @@ router.post('/generate', authenticateUser, async (req, res, next) => {
         name: name.trim(),
         user_data_json: userData,
         output_docx_url: uploadResult.url,
+        output_files_json: outputFiles,
+        document_number: documentNumber,
+        status,
+        revision: 1,
       })
       .select()
       .single();
 
     if (createError) {
+      await removeUploadedFiles(uploadResult.url, outputFiles);
+
+      // The unique index on (template_id, document_number) caught a number issued before
+      if (createError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DOCUMENT_NUMBER_CONFLICT',
+            message: `Document number ${documentNumber} has already been issued for this template`,
+          },
+        });
+      }
+
       throw new Error(`Failed to save document: ${createError.message}`);
     }
 
-    // Get signed URL for download
+    // Get signed URLs for download
     const downloadUrl = await getSignedUrl(uploadResult.path, 3600); // 1 hour expiry
+    const downloadUrls = await getOutputUrls(outputFiles, downloadUrl);
 
     res.status(201).json({
       success: true,
       document: {
         id: document.id,
         name: document.name,
+        documentNumber: document.document_number,
+        status: document.status,
+        revision: document.revision,
         downloadUrl,
+        downloadUrls,
         expiresAt: new Date(Date.now() + 3600 * 1000).toISOString(),
         createdAt: document.created_at,
       },
@@ -115,7 +241,7 @@ router.get('/', authenticateUser, async (req, res, next) => {
 
     let query = supabaseAdmin
       .from('generated_documents')
-      .select('id, name, template_id, created_at, templates(name)', { count: 'exact' })
+      .select('id, name, document_number, status, revision, output_files_json, template_id, created_at, templates(name)', { count: 'exact' })
       .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
@@ -134,6 +260,10 @@ router.get('/', authenticateUser, async (req, res, next) => {
     const formattedDocuments = documents.map((doc) => ({
       id: doc.id,
       name: doc.name,
+      documentNumber: doc.document_number,
+      status: doc.status,
+      revision: doc.revision,
+      outputFormats: ['docx', ...Object.keys(doc.output_files_json || {})],
       templateId: doc.template_id,
       templateName: doc.templates?.name || 'Unknown',
       createdAt: doc.created_at,
@@ -182,9 +312,13 @@ router.get('/:documentId', authenticateUser, async (req, res, next) => {
       document: {
         id: document.id,
         name: document.name,
+        documentNumber: document.document_number,
+        status: document.status,
+        revision: document.revision,
         templateId: document.template_id,
         templateName: document.templates?.name || 'Unknown',
         userData: document.user_data_json,
+        outputFormats: ['docx', ...Object.keys(document.output_files_json || {})],
         createdAt: document.created_at,
       },
     });
@@ -219,20 +353,43 @@ router.get('/:documentId/download', authenticateUser, async (req, res, next) =>
       });
     }
 
-    // Extract path from URL
-    const url = document.output_docx_url;
-    const path = url.split('/').slice(-3).join('/');
-
     // Get signed URL
-    const downloadUrl = await getSignedUrl(path, 300); // 5 minutes expiry
+    const downloadUrl = await getSignedUrl(getStoragePath(document.output_docx_url), 300); // 5 minutes expiry
 
-    // Redirect to signed URL
-    res.redirect(downloadUrl);
+    sendDownloadUrl(req, res, downloadUrl);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Download a document as PDF
+ * GET /api/documents/:documentId/pdf
+ */
+router.get('/:documentId/pdf', authenticateUser, (req, res, next) => {
+  redirectToOutputFile(req, res, next, 'pdf');
+});
+
+/**
+ * Download a document in another output format (pdf, html, md, odt, txt)
+ * GET /api/documents/:documentId/download/:format
+ */
+router.get('/:documentId/download/:format', authenticateUser, (req, res, next) => {
+  const { format } = req.params;
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_OUTPUT_FORMAT',
+        message: `Output format must be one of: ${OUTPUT_FORMATS.join(', ')}`,
+      },
+    });
+  }
+
+  redirectToOutputFile(req, res, next, format);
+});
+
 /**
  * Regenerate a document with new data
  * PUT /api/documents/:documentId/regenerate
@@ -241,9 +398,9 @@ router.put('/:documentId/regenerate', authenticateUser, async (req, res, next) =
   try {
     const { documentId } = req.params;
     const userId = req.user.id;
-    const { userData } = req.body;
+    const { userData: submittedData, status, outputFormats } = req.body;
 
-    if (!userData) {
+    if (!submittedData) {
       return res.status(400).json({
         success: false,
         error: {
@@ -253,6 +410,27 @@ router.put('/:documentId/regenerate', authenticateUser, async (req, res, next) =
       });
     }
 
+    if (status !== undefined && !DOCUMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Status must be one of: ${DOCUMENT_STATUSES.join(', ')}`,
+        },
+      });
+    }
+
+    const requestedFormats = getExtraFormats(outputFormats);
+    if (!requestedFormats) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_OUTPUT_FORMAT',
+          message: `Output formats must be from: ${OUTPUT_FORMATS.join(', ')}`,
+        },
+      });
+    }
+
     // Get existing document
     const { data: existingDoc, error: docError } = await supabaseAdmin
       .from('generated_documents')
@@ -274,7 +452,9 @@ router.put('/:documentId/regenerate', authenticateUser, async (req, res, next) =
     const template = existingDoc.templates;
 
     // Validate user data
-    const validation = validateUserData(userData, template.schema_json);
+    const userFormatting = await getUserFormatting(userId);
+    const formatting = resolveFormatting(userFormatting, template.structure_json?.metadata?.formatting);
+    const validation = validateUserData(submittedData, template.schema_json, formatting);
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -282,12 +462,25 @@ router.put('/:documentId/regenerate', authenticateUser, async (req, res, next) =
           code: 'INVALID_USER_DATA',
           message: 'User data validation failed',
           details: validation.errors,
+          fields: validation.fieldErrors,
         },
       });
     }
 
-    // Generate new document
-    const documentBuffer = await generateDocument(template, userData, null);
+    // Computed fields are always taken from the server-side evaluation
+    const userData = validation.data;
+
+    // Generate the next revision, keeping its reference number
+    const documentStatus = status || existingDoc.status;
+    const revision = (existingDoc.revision || 1) + 1;
+    const images = await loadDocumentImages(template, userData, userId);
+    const masterBuffer = await loadMasterDocx(template);
+    const generateOptions = {
+      images,
+      formatting: userFormatting,
+      document: { number: existingDoc.document_number, status: documentStatus, revision, generatedAt: new Date().toISOString() },
+    };
+    const documentBuffer = await generateDocument(template, userData, masterBuffer, generateOptions);
 
     // Upload to storage
     const fileName = `${existingDoc.name.replace(/[^a-zA-Z0-9]/g, '_')}.docx`;
@@ -298,30 +491,43 @@ router.put('/:documentId/regenerate', authenticateUser, async (req, res, next) =
       'generated'
     );
 
+    // Formats saved with the previous revision are regenerated too, so they never go stale
+    const extraFormats = [...new Set([...Object.keys(existingDoc.output_files_json || {}), ...requestedFormats])];
+    const outputFiles = await saveOutputFiles(extraFormats, template, userData, userId, existingDoc.name, generateOptions);
+
     // Update database
     const { data: updatedDoc, error: updateError } = await supabaseAdmin
       .from('generated_documents')
       .update({
         user_data_json: userData,
         output_docx_url: uploadResult.url,
+        output_files_json: outputFiles,
+        status: documentStatus,
+        revision,
       })
       .eq('id', documentId)
       .select()
       .single();
 
     if (updateError) {
+      await removeUploadedFiles(uploadResult.url, outputFiles);
       throw new Error(`Failed to update document: ${updateError.message}`);
     }
 
-    // Get signed URL for download
+    // Get signed URLs for download
     const downloadUrl = await getSignedUrl(uploadResult.path, 3600);
+    const downloadUrls = await getOutputUrls(outputFiles, downloadUrl);
 
     res.json({
       success: true,
       document: {
         id: updatedDoc.id,
         name: updatedDoc.name,
+        documentNumber: updatedDoc.document_number,
+        status: updatedDoc.status,
+        revision: updatedDoc.revision,
         downloadUrl,
+        downloadUrls,
         expiresAt: new Date(Date.now() + 3600 * 1000).toISOString(),
         updatedAt: updatedDoc.updated_at,
       },
@@ -359,5 +565,169 @@ router.delete('/:documentId', authenticateUser, async (req, res, next) => {
   }
 });
 
+/**
+ * Download a template's master .docx, if it has one
+ */
+async function loadMasterDocx(template) {
+  if (!template.template_docx_url) {
+    return null;
+  }
+
+  return downloadFile(getStoragePath(template.template_docx_url));
+}
+
+/**
+ * Redirect to a signed URL for a document in an output format, generating
+ * and saving the file first if it was not saved with the document
+ */
+async function redirectToOutputFile(req, res, next, format) {
+  try {
+    const { documentId } = req.params;
+    const userId = req.user.id;
+
+    const { data: document, error } = await supabaseAdmin
+      .from('generated_documents')
+      .select('*, templates(*)')
+      .eq('id', documentId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !document) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DOCUMENT_NOT_FOUND',
+          message: 'Document not found',
+        },
+      });
+    }
+
+    const outputFiles = document.output_files_json || {};
+    let url = format === 'docx' ? document.output_docx_url : outputFiles[format];
+
+    if (!url) {
+      const template = document.templates;
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TEMPLATE_NOT_FOUND',
+            message: 'The template for this document no longer exists',
+          },
+        });
+      }
+
+      // Render the file from the data the document was last generated with
+      const userData = document.user_data_json;
+      const images = await loadDocumentImages(template, userData, userId);
+      const savedFiles = await saveOutputFiles([format], template, userData, userId, document.name, {
+        images,
+        formatting: await getUserFormatting(userId),
+        document: {
+          number: document.document_number,
+          status: document.status,
+          revision: document.revision,
+          generatedAt: document.updated_at || document.created_at,
+        },
+      });
+      url = savedFiles[format];
+
+      const { error: updateError } = await supabaseAdmin
+        .from('generated_documents')
+        .update({ output_files_json: { ...outputFiles, ...savedFiles } })
+        .eq('id', documentId);
+
+      if (updateError) {
+        throw new Error(`Failed to update document: ${updateError.message}`);
+      }
+    }
+
+    // Get signed URL
+    const downloadUrl = await getSignedUrl(getStoragePath(url), 300); // 5 minutes expiry
+
+    sendDownloadUrl(req, res, downloadUrl);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send a signed download URL: redirect to it, or return it as JSON to clients
+ * that ask for JSON, such as the app, which cannot send its token with a plain link
+ */
+function sendDownloadUrl(req, res, downloadUrl) {
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({
+      success: true,
+      downloadUrl,
+    });
+  }
+
+  res.redirect(downloadUrl);
+}
+
+/**
+ * Extract a file's storage path from its public URL
+ */
+function getStoragePath(url) {
+  return url.split('/').slice(-3).join('/');
+}
+
+/**
+ * Normalise requested output formats to the ones produced besides Word
+ * @param {string|string[]} outputFormats - Format or formats from the request body
+ * @returns {string[]|null} Extra formats, or null if any format is unsupported
+ */
+function getExtraFormats(outputFormats = []) {
+  const formats = Array.isArray(outputFormats) ? outputFormats : [outputFormats];
+  if (!formats.every((format) => OUTPUT_FORMATS.includes(format))) {
+    return null;
+  }
+
+  return [...new Set(formats)].filter((format) => format !== 'docx');
+}
+
+/**
+ * Generate and upload a document in each extra output format
+ * @returns {Promise<Object>} Map of format to storage URL, as stored in output_files_json
+ */
+async function saveOutputFiles(formats, template, userData, userId, name, options) {
+  const outputFiles = {};
+
+  for (const format of formats) {
+    const buffer = await generateDocument(template, userData, null, { ...options, format });
+    const fileName = `${name.replace(/[^a-zA-Z0-9]/g, '_')}.${format}`;
+    const uploadResult = await uploadFile(buffer, fileName, userId, 'generated');
+    outputFiles[format] = uploadResult.url;
+  }
+
+  return outputFiles;
+}
+
+/**
+ * Remove the files uploaded for a document that could not be saved
+ * Failures are logged rather than thrown so the save error is the one reported
+ */
+async function removeUploadedFiles(docxUrl, outputFiles) {
+  try {
+    await deleteFiles([docxUrl, ...Object.values(outputFiles)].map(getStoragePath));
+  } catch (error) {
+    console.error('Failed to remove uploaded files:', error);
+  }
+}
+
+/**
+ * Get signed download URLs (1 hour expiry) for every saved format of a document
+ */
+async function getOutputUrls(outputFiles, docxUrl) {
+  const downloadUrls = { docx: docxUrl };
+
+  for (const [format, url] of Object.entries(outputFiles)) {
+    downloadUrls[format] = await getSignedUrl(getStoragePath(url), 3600);
+  }
+
+  return downloadUrls;
+}
+
 export default router;
 
@@ -0,0 +1,69 @@
+import express from 'express';
+import { DEFAULT_FORMATTING, validateFormatting } from 'document-template-generator-shared';
+import { authenticateUser } from '../middleware/auth.js';
+import { getUserFormatting, saveUserFormatting } from '../services/settingsService.js';
+
+const router = express.Router();
+
+/**
+ * Get the current user's settings
+ * GET /api/settings
+ */
+router.get('/', authenticateUser, async (req, res, next) => {
+  try {
+    const formatting = await getUserFormatting(req.user.id);
+
+    res.json({
+      success: true,
+      settings: {
+        formatting,
+      },
+      defaults: {
+        formatting: DEFAULT_FORMATTING,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update the current user's settings
+ * PUT /api/settings
+ */
+router.put('/', authenticateUser, async (req, res, next) => {
+  try {
+    const { formatting = {} } = req.body;
+
+    const errors = validateFormatting(formatting);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SETTINGS',
+          message: errors.join(', '),
+        },
+      });
+    }
+
+    // Keep only known settings; blank values fall back to the defaults
+    const cleaned = Object.fromEntries(
+      Object.keys(DEFAULT_FORMATTING)
+        .filter((key) => formatting[key] !== undefined && formatting[key] !== null && formatting[key] !== '')
+        .map((key) => [key, formatting[key]])
+    );
+
+    const saved = await saveUserFormatting(req.user.id, cleaned);
+
+    res.json({
+      success: true,
+      settings: {
+        formatting: saved,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,10 +1,30 @@
 import express from 'express';
+import multer from 'multer';
+import { resolveFormatting, validateFormatting } from 'document-template-generator-shared';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
-import { validateTemplateData } from '../utils/validation.js';
+import { uploadLimiter } from '../middleware/rateLimiter.js';
+import { validateTemplateData, validateImageFile, validateDocxFile } from '../utils/validation.js';
+import { uploadFile, downloadFile, deleteFile } from '../services/storageService.js';
+import { validateMasterTemplate } from '../services/documentGenerator.js';
+import { buildMasterFromExample } from '../services/masterTemplateBuilder.js';
+import { getUserFormatting } from '../services/settingsService.js';
+import { getIssuedNumberPeriods } from '../services/numberingService.js';
+import { validateWatermark } from '../services/watermarkService.js';
+import { validateHeadingNumbering, validateTableFooters } from '../services/renderTree.js';
+import { getImageInfo } from '../utils/imageHelpers.js';
+import { validateNumberingScheme } from '../utils/numberingScheme.js';
 
 const router = express.Router();
 
+// Configure multer for memory storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+});
+
 /**
  * Create a new template from upload session
  * POST /api/templates
@@ -12,7 +32,7 @@ const router = express.Router();
 router.post('/', authenticateUser, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { sessionId, name, description, documentType, industry } = req.body;
+    const { sessionId, name, description, documentType, industry, deriveMaster, exampleIndex = 0 } = req.body;
 
     if (!sessionId || !name) {
       return res.status(400).json({
@@ -52,20 +72,21 @@ router.post('/', authenticateUser, async (req, res, next) => {
       });
     }
 
-    // Validate template data
+    // Validate template data, including the structure's metadata settings
     const validation = validateTemplateData({
       name,
       schemaJson: session.schema_json,
       contentJson: session.content_json,
       structureJson: session.structure_json,
     });
+    const errors = [...validation.errors, ...validateStructureMetadata(session.structure_json)];
 
-    if (!validation.valid) {
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INVALID_TEMPLATE_DATA',
-          message: validation.errors.join(', '),
+          message: errors.join(', '),
         },
       });
     }
@@ -93,6 +114,12 @@ router.post('/', authenticateUser, async (req, res, next) => {
       throw new Error(`Failed to create template: ${createError.message}`);
     }
 
+    // Optionally turn one of the example documents into the master .docx
+    let masterDocx;
+    if (deriveMaster) {
+      masterDocx = await deriveMasterFromSession(template, session, parseInt(exampleIndex, 10), userId);
+    }
+
     // Update session status
     await supabaseAdmin
       .from('upload_sessions')
@@ -108,6 +135,7 @@ router.post('/', authenticateUser, async (req, res, next) => {
         status: template.status,
         createdAt: template.created_at,
       },
+      masterDocx,
     });
   } catch (error) {
     next(error);
@@ -197,9 +225,13 @@ router.get('/:templateId', authenticateUser, async (req, res, next) => {
       });
     }
 
+    // The form formats dates and numbers the same way as the generated document
+    const formatting = resolveFormatting(await getUserFormatting(userId), template.structure_json?.metadata?.formatting);
+
     res.json({
       success: true,
       template,
+      formatting,
     });
   } catch (error) {
     next(error);
@@ -224,6 +256,18 @@ router.put('/:templateId', authenticateUser, async (req, res, next) => {
     if (structureJson) updates.structure_json = structureJson;
     if (status) updates.status = status;
 
+    const issuedPeriods = structureJson?.metadata?.numbering ? await getIssuedNumberPeriods(templateId) : [];
+    const metadataErrors = structureJson ? validateStructureMetadata(structureJson, issuedPeriods) : [];
+    if (metadataErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TEMPLATE_DATA',
+          message: metadataErrors.join(', '),
+        },
+      });
+    }
+
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
         success: false,
@@ -283,5 +327,439 @@ router.delete('/:templateId', authenticateUser, async (req, res, next) => {
   }
 });
 
+/**
+ * Upload a tagged master .docx for a template
+ * POST /api/templates/:templateId/master
+ */
+router.post(
+  '/:templateId/master',
+  authenticateUser,
+  uploadLimiter,
+  upload.single('file'),
+  async (req, res, next) => {
+    try {
+      const { templateId } = req.params;
+      const userId = req.user.id;
+
+      // Validate file
+      const validation = validateDocxFile(req.file);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FILE',
+            message: validation.errors.join(', '),
+          },
+        });
+      }
+
+      // Check the docxtemplater tags compile before storing the master
+      const tagValidation = validateMasterTemplate(req.file.buffer);
+      if (!tagValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_TEMPLATE_TAGS',
+            message: 'Master document contains invalid template tags',
+            details: tagValidation.errors,
+          },
+        });
+      }
+
+      const { data: template, error: templateError } = await supabaseAdmin
+        .from('templates')
+        .select('id, template_docx_url')
+        .eq('id', templateId)
+        .eq('user_id', userId)
+        .single();
+
+      if (templateError || !template) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TEMPLATE_NOT_FOUND',
+            message: 'Template not found',
+          },
+        });
+      }
+
+      // Upload file to storage
+      const uploadResult = await uploadFile(
+        req.file.buffer,
+        req.file.originalname,
+        userId,
+        'templates'
+      );
+
+      const { data: updatedTemplate, error: updateError } = await supabaseAdmin
+        .from('templates')
+        .update({ template_docx_url: uploadResult.url })
+        .eq('id', templateId)
+        .select('id, template_docx_url, updated_at')
+        .single();
+
+      if (updateError) {
+        throw new Error(`Failed to update template: ${updateError.message}`);
+      }
+
+      // Remove the master this upload replaced
+      if (template.template_docx_url) {
+        await deleteFile(template.template_docx_url.split('/').slice(-3).join('/'));
+      }
+
+      res.json({
+        success: true,
+        template: {
+          id: updatedTemplate.id,
+          hasMasterDocx: true,
+          updatedAt: updatedTemplate.updated_at,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove the master .docx so the template is built from structure JSON again
+ * DELETE /api/templates/:templateId/master
+ */
+router.delete('/:templateId/master', authenticateUser, async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.id;
+
+    const { data: template, error: templateError } = await supabaseAdmin
+      .from('templates')
+      .select('id, template_docx_url')
+      .eq('id', templateId)
+      .eq('user_id', userId)
+      .single();
+
+    if (templateError || !template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TEMPLATE_NOT_FOUND',
+          message: 'Template not found',
+        },
+      });
+    }
+
+    if (!template.template_docx_url) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MASTER_NOT_FOUND',
+          message: 'Template has no master document',
+        },
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('templates')
+      .update({ template_docx_url: null })
+      .eq('id', templateId);
+
+    if (error) {
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+
+    await deleteFile(template.template_docx_url.split('/').slice(-3).join('/'));
+
+    res.json({
+      success: true,
+      message: 'Master document removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Upload an image asset for a template
+ * POST /api/templates/:templateId/assets
+ */
+router.post(
+  '/:templateId/assets',
+  authenticateUser,
+  uploadLimiter,
+  upload.single('file'),
+  async (req, res, next) => {
+    try {
+      const { templateId } = req.params;
+      const userId = req.user.id;
+      const name = req.body.name?.trim();
+
+      if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_ASSET_NAME',
+            message: 'Asset name is required and may only contain letters, numbers, dashes and underscores',
+          },
+        });
+      }
+
+      // Validate file
+      const validation = validateImageFile(req.file);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FILE',
+            message: validation.errors.join(', '),
+          },
+        });
+      }
+
+      const imageInfo = getImageInfo(req.file.buffer);
+      if (!imageInfo) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FILE',
+            message: 'Image could not be read',
+          },
+        });
+      }
+
+      // Check template ownership
+      const { data: template, error: templateError } = await supabaseAdmin
+        .from('templates')
+        .select('id')
+        .eq('id', templateId)
+        .eq('user_id', userId)
+        .single();
+
+      if (templateError || !template) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TEMPLATE_NOT_FOUND',
+            message: 'Template not found',
+          },
+        });
+      }
+
+      const { data: existingAsset } = await supabaseAdmin
+        .from('template_assets')
+        .select('id')
+        .eq('template_id', templateId)
+        .eq('name', name)
+        .maybeSingle();
+
+      if (existingAsset) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ASSET_EXISTS',
+            message: `An asset named "${name}" already exists for this template`,
+          },
+        });
+      }
+
+      // Upload file to storage
+      const uploadResult = await uploadFile(
+        req.file.buffer,
+        req.file.originalname,
+        userId,
+        'assets',
+        imageInfo.contentType
+      );
+
+      const { data: asset, error: createError } = await supabaseAdmin
+        .from('template_assets')
+        .insert({
+          user_id: userId,
+          template_id: templateId,
+          name,
+          file_path: uploadResult.path,
+          content_type: imageInfo.contentType,
+          width: imageInfo.width,
+          height: imageInfo.height,
+        })
+        .select()
+        .single();
+
+      if (createError) {
+        throw new Error(`Failed to save asset: ${createError.message}`);
+      }
+
+      res.status(201).json({
+        success: true,
+        asset: formatAsset(asset),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get all image assets for a template
+ * GET /api/templates/:templateId/assets
+ */
+router.get('/:templateId/assets', authenticateUser, async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.id;
+
+    const { data: assets, error } = await supabaseAdmin
+      .from('template_assets')
+      .select('*')
+      .eq('template_id', templateId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch assets: ${error.message}`);
+    }
+
+    res.json({
+      success: true,
+      assets: assets.map(formatAsset),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete an image asset
+ * DELETE /api/templates/:templateId/assets/:assetId
+ */
+router.delete('/:templateId/assets/:assetId', authenticateUser, async (req, res, next) => {
+  try {
+    const { templateId, assetId } = req.params;
+    const userId = req.user.id;
+
+    const { data: asset, error: assetError } = await supabaseAdmin
+      .from('template_assets')
+      .select('*')
+      .eq('id', assetId)
+      .eq('template_id', templateId)
+      .eq('user_id', userId)
+      .single();
+
+    if (assetError || !asset) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSET_NOT_FOUND',
+          message: 'Asset not found',
+        },
+      });
+    }
+
+    await deleteFile(asset.file_path);
+
+    const { error } = await supabaseAdmin
+      .from('template_assets')
+      .delete()
+      .eq('id', assetId);
+
+    if (error) {
+      throw new Error(`Failed to delete asset: ${error.message}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Asset deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check the settings in a structure's metadata (formatting, numbering,
+ * watermark and heading numbering) and its table footers
+ * @param {Object} structureJson - Template structure
+ * @param {number[]} [issuedPeriods] - Counter periods the template has issued numbers under
+ * @returns {string[]} Error messages, empty if every setting is valid or absent
+ */
+function validateStructureMetadata(structureJson, issuedPeriods = []) {
+  const metadata = structureJson?.metadata;
+  return [
+    ...validateFormatting(metadata?.formatting),
+    ...validateNumberingScheme(metadata?.numbering, issuedPeriods),
+    ...validateWatermark(metadata?.watermark),
+    ...validateHeadingNumbering(metadata?.headingNumbering),
+    ...validateTableFooters(structureJson?.sections),
+  ];
+}
+
+/**
+ * Derive a tagged master .docx from an upload session example and attach it to the template
+ * Failures are reported rather than thrown so template creation still succeeds
+ */
+async function deriveMasterFromSession(template, session, exampleIndex, userId) {
+  try {
+    const fileUrl = session.file_urls?.[exampleIndex];
+    const exampleValues = session.example_values_json?.[exampleIndex];
+
+    if (!fileUrl || !exampleValues) {
+      return {
+        success: false,
+        error: `No analysed example document at index ${exampleIndex}`,
+      };
+    }
+
+    const exampleBuffer = await downloadFile(fileUrl.split('/').slice(-3).join('/'));
+    const { buffer, taggedFields, untaggedFields } = buildMasterFromExample(
+      exampleBuffer,
+      template.schema_json,
+      exampleValues
+    );
+
+    const tagValidation = validateMasterTemplate(buffer);
+    if (!tagValidation.valid) {
+      return {
+        success: false,
+        error: `Derived master contains invalid template tags: ${tagValidation.errors.join(', ')}`,
+      };
+    }
+
+    const uploadResult = await uploadFile(buffer, 'master.docx', userId, 'templates');
+
+    const { error } = await supabaseAdmin
+      .from('templates')
+      .update({ template_docx_url: uploadResult.url })
+      .eq('id', template.id);
+
+    if (error) {
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      taggedFields,
+      untaggedFields,
+    };
+  } catch (error) {
+    console.error('Master derivation error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Format an asset row for API responses
+ */
+function formatAsset(asset) {
+  return {
+    id: asset.id,
+    name: asset.name,
+    contentType: asset.content_type,
+    width: asset.width,
+    height: asset.height,
+    createdAt: asset.created_at,
+  };
+}
+
 export default router;
 
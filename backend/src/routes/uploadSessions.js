@@ -335,6 +335,7 @@ async function analyzeSessionDocuments(sessionId, fileUrls, options) {
         schema_json: analysisResult.schema_json,
         content_json: analysisResult.content_json,
         structure_json: analysisResult.structure_json,
+        example_values_json: analysisResult.example_values,
         analysis_log: analysisResult.analysis_log,
         confidence_score: analysisResult.confidence_score,
         document_type: analysisResult.document_type,
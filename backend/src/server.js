@@ -10,6 +10,7 @@ import uploadSessionsRouter from './routes/uploadSessions.js';
 import templatesRouter from './routes/templates.js';
 import documentsRouter from './routes/documents.js';
 import formAssistRouter from './routes/formAssist.js';
+import settingsRouter from './routes/settings.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,6 +50,7 @@ app.use('/api/upload-session', uploadSessionsRouter);
 app.use('/api/templates', templatesRouter);
 app.use('/api/documents', documentsRouter);
 app.use('/api/form-assist', formAssistRouter);
+app.use('/api/settings', settingsRouter);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -0,0 +1,104 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { downloadFile } from './storageService.js';
+import { getImageInfo } from '../utils/imageHelpers.js';
+
+/**
+ * Image asset service for template assets and user-uploaded form images
+ */
+
+/**
+ * Load every image a template can embed during generation
+ * @param {Object} template - Template object with id and schema_json
+ * @param {Object} userData - User's form data
+ * @param {string} userId - Owner of the uploaded form images
+ * @returns {Promise<Object>} { assets: { name: image }, uploads: { path: image } }
+ */
+export async function loadDocumentImages(template, userData, userId) {
+  const images = {
+    assets: {},
+    uploads: {},
+  };
+
+  const { data: assets, error } = await supabaseAdmin
+    .from('template_assets')
+    .select('name, file_path')
+    .eq('template_id', template.id);
+
+  if (error) {
+    throw new Error(`Failed to fetch template assets: ${error.message}`);
+  }
+
+  for (const asset of assets || []) {
+    const image = await loadImage(asset.file_path);
+    if (image) {
+      images.assets[asset.name] = image;
+    }
+  }
+
+  for (const path of getUploadedImagePaths(template.schema_json, userData)) {
+    // Only embed images the user uploaded themselves
+    if (!isOwnUpload(path, userId)) {
+      console.warn(`Skipping image outside user folder: ${path}`);
+      continue;
+    }
+
+    const image = await loadImage(path);
+    if (image) {
+      images.uploads[path] = image;
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Check that a storage path is a file directly in the user's image folder,
+ * as uploadFile names them, so "images/<user>/../<other user>/x.png" is refused
+ */
+function isOwnUpload(path, userId) {
+  const [folder, owner, fileName, ...rest] = path.split('/');
+  return folder === 'images' && owner === userId && Boolean(fileName) && fileName !== '.' && fileName !== '..' && rest.length === 0;
+}
+
+/**
+ * Collect storage paths of images attached through image and signature form
+ * fields, including signature columns of table fields
+ */
+function getUploadedImagePaths(schema, userData) {
+  const paths = [];
+  const addPath = (value) => {
+    if (typeof value?.path === 'string') {
+      paths.push(value.path);
+    }
+  };
+
+  schema?.sections?.forEach((section) => {
+    section.fields?.forEach((field) => {
+      const value = userData?.[field.id];
+
+      if (field.type === 'image' || field.type === 'signature') {
+        addPath(value);
+      } else if (field.type === 'table' && Array.isArray(value)) {
+        const signatureColumns = (field.columns || []).filter((column) => column.type === 'signature');
+        value.forEach((row) => signatureColumns.forEach((column) => addPath(row?.[column.key])));
+      }
+    });
+  });
+
+  return paths;
+}
+
+/**
+ * Download an image from storage and read its type and dimensions
+ */
+async function loadImage(path) {
+  const data = await downloadFile(path);
+  const info = getImageInfo(data);
+
+  if (!info) {
+    console.warn(`Unsupported image format: ${path}`);
+    return null;
+  }
+
+  return { data, ...info };
+}
@@ -1,29 +1,66 @@
-import { Document, Packer, Paragraph, Table, TableCell, TableRow, HeadingLevel, AlignmentType, WidthType, BorderStyle } from 'docx';
 import Docxtemplater from 'docxtemplater';
 import PizZip from 'pizzip';
-import { renderTemplate, evaluateCondition, getNestedValue, formatDate, getToday } from '../utils/templateHelpers.js';
+import { renderTemplate, getNestedValue, formatDate, getToday, resolveBoilerplateBlocks, isConditionalSectionTriggered } from '../utils/templateHelpers.js';
+import { parsePlaceholder, applyFilters, isMissing, getMissingValuePolicy, resolveMissingValue, MissingValueError } from '../utils/templateFilters.js';
+import { resolveFormatting } from 'document-template-generator-shared';
+import { buildRenderTree } from './renderTree.js';
+import { getWriter, getSupportedFormats } from './writers/index.js';
+import { writeHtml } from './writers/htmlWriter.js';
+import { resolveWatermark, applyWatermark } from './watermarkService.js';
+
+/**
+ * Formats a generated document can be saved in, by file extension; Word is always produced
+ */
+export const OUTPUT_FORMATS = getSupportedFormats();
+
+const DOCXTEMPLATER_OPTIONS = {
+  paragraphLoop: true,
+  linebreaks: true,
+};
 
 /**
  * Document generation service
  */
 
 /**
- * Generate a Word document from template and user data
+ * Generate a document from template and user data
  * @param {Object} template - Template object with schema, content, and structure
  * @param {Object} userData - User's form data
  * @param {Buffer} templateDocxBuffer - Optional: existing .docx template file
- * @returns {Promise<Buffer>} Generated Word document buffer
+ * @param {Object} options - Optional: { images } loaded by assetService.loadDocumentImages,
+ * { formatting }, the user's default formatting settings, { document }, details of the
+ * document such as its number and status, available to templates as {{document.*}}, and
+ * { watermark }, watermark text for this document or false for none (by default the
+ * template's watermark settings and the document's status decide), and { format },
+ * one of OUTPUT_FORMATS (default "docx")
+ * @returns {Promise<Buffer>} Generated document buffer
  */
-export async function generateDocument(template, userData, templateDocxBuffer = null) {
+export async function generateDocument(template, userData, templateDocxBuffer = null, options = {}) {
   try {
+    const watermark = resolveWatermark(template, options.document, options.watermark);
+    const format = options.format || 'docx';
+
     // Option A: Use existing .docx template with docxtemplater
-    if (templateDocxBuffer) {
-      return await generateFromTemplate(templateDocxBuffer, userData, template.content_json);
+    if (templateDocxBuffer && format === 'docx') {
+      const buffer = await generateFromTemplate(templateDocxBuffer, userData, template.content_json, template.structure_json?.metadata, options);
+      return watermark ? applyWatermark(buffer, watermark) : buffer;
     }
 
-    // Option B: Build document from structure.json
-    return await generateFromStructure(template.structure_json, userData, template.content_json);
+    // Option B: Build document from structure.json; the writer adds the watermark.
+    // Other formats are always written from structure.json, master .docx or not
+    return await generateFromStructure(template.structure_json, userData, template.content_json, {
+      ...options,
+      format,
+      watermark,
+      title: template.name,
+      schema: template.schema_json,
+    });
   } catch (error) {
+    // Errors about the user's data (e.g. missing values) keep their status code
+    if (error.statusCode) {
+      throw error;
+    }
+
     console.error('Document generation error:', error);
     throw new Error(`Failed to generate document: ${error.message}`);
   }
@@ -31,26 +68,66 @@ export async function generateDocument(template, userData, templateDocxBuffer =
 
 /**
  * Generate document using docxtemplater with existing template
+ * Tags use the same paths, filters and missing-value policy as {{placeholders}},
+ * e.g. {start_date | date:"DD/MM/YYYY"}
  */
-async function generateFromTemplate(templateBuffer, userData, contentJson) {
+async function generateFromTemplate(templateBuffer, userData, contentJson, metadata = {}, options = {}) {
+  const missingValues = getMissingValuePolicy(metadata?.missingValues);
+  const formatting = resolveFormatting(options.formatting, metadata?.formatting);
+  const missingPaths = [];
+
+  // "today" in conditions and templates is the date in the template's time zone
+  const today = getToday(formatting);
+  const conditionData = { ...userData, ...(options.document && { document: options.document }), today };
+
   try {
     const zip = new PizZip(templateBuffer);
     const doc = new Docxtemplater(zip, {
-      paragraphLoop: true,
-      linebreaks: true,
+      ...DOCXTEMPLATER_OPTIONS,
+      parser: (tag) => createTagParser(tag, formatting),
+      nullGetter: (part) => {
+        // Loops and conditions over missing data render nothing
+        if (part.module) {
+          return '';
+        }
+        if (missingValues.policy === 'error') {
+          missingPaths.push(parsePlaceholder(part.value).path);
+          return '';
+        }
+        return resolveMissingValue(missingValues, parsePlaceholder(part.value).path, `{${part.value}}`);
+      },
     });
 
-    // Merge user data with boilerplate content
+    // Boilerplate variants are resolved now but rendered on first use, so blocks
+    // the master does not use cannot trip the missing-value policy
+    const boilerplate = {};
+    for (const [id, text] of Object.entries(resolveBoilerplateBlocks(contentJson.blocks, conditionData))) {
+      Object.defineProperty(boilerplate, id, {
+        enumerable: true,
+        get: () => renderTemplate(text, conditionData, contentJson.blocks, { missingValues, formatting }),
+      });
+    }
+
+    // Merge user data and document details with boilerplate content
     const data = {
-      ...userData,
-      boilerplate: contentJson.blocks || {},
+      ...conditionData,
+      boilerplate,
+      conditional_sections: Object.fromEntries(
+        Object.entries(contentJson.conditional_sections || {}).map(([id, conditionalSection]) => [
+          id,
+          isConditionalSectionTriggered(conditionalSection, conditionData),
+        ])
+      ),
       // Helper functions available in templates
-      formatDate: (date) => formatDate(date),
-      today: getToday(),
+      formatDate: (date) => formatDate(date, formatting),
     };
 
     doc.render(data);
 
+    if (missingPaths.length > 0) {
+      throw new MissingValueError([...new Set(missingPaths)]);
+    }
+
     const buffer = doc.getZip().generate({
       type: 'nodebuffer',
       compression: 'DEFLATE',
@@ -58,368 +135,74 @@ async function generateFromTemplate(templateBuffer, userData, contentJson) {
 
     return buffer;
   } catch (error) {
-    console.error('Docxtemplater error:', error);
-    throw new Error(`Template rendering failed: ${error.message}`);
-  }
-}
-
-/**
- * Generate document from structure JSON using docx library
- */
-async function generateFromStructure(structureJson, userData, contentJson) {
-  if (!structureJson || !structureJson.sections) {
-    throw new Error('Invalid structure JSON');
-  }
-
-  // Merge helper values into userData
-  const enhancedUserData = {
-    ...userData,
-    today: getToday(),
-    formatDate: (date) => formatDate(date),
-  };
-
-  // Build document sections
-  const docSections = [];
-
-  for (const section of structureJson.sections) {
-    // Skip header and footer sections (handle separately)
-    if (section.type === 'header' || section.type === 'footer') {
-      continue;
-    }
-
-    const children = [];
-
-    // Add section heading
-    if (section.heading) {
-      const headingText = renderTemplate(section.heading.text, enhancedUserData, contentJson.blocks);
-      children.push(
-        new Paragraph({
-          text: headingText,
-          heading: HeadingLevel[`HEADING_${section.heading.level || 1}`],
-          spacing: {
-            before: 400,
-            after: 200,
-          },
-        })
-      );
-    }
-
-    // Process section content
-    if (section.content) {
-      for (const item of section.content) {
-        // Check conditional rendering
-        if (item.condition && !evaluateCondition(item.condition, enhancedUserData)) {
-          continue;
-        }
-
-        const contentElements = await processContentItem(item, enhancedUserData, contentJson);
-        children.push(...contentElements);
-      }
+    if (error instanceof MissingValueError) {
+      throw error;
     }
 
-    docSections.push({ children });
+    console.error('Docxtemplater error:', error);
+    throw new Error(`Template rendering failed: ${error.message}`);
   }
-
-  // Create document
-  const doc = new Document({
-    sections: docSections.length > 0 ? docSections : [{ children: [new Paragraph('Empty document')] }],
-  });
-
-  // Generate buffer
-  const buffer = await Packer.toBuffer(doc);
-  return buffer;
 }
 
 /**
- * Process a single content item and return docx elements
+ * docxtemplater parser for tags with dot paths and filters
+ * Missing values in a loop scope fall through to the outer scopes
  */
-async function processContentItem(item, userData, contentJson) {
-  const elements = [];
-
-  switch (item.type) {
-    case 'paragraph': {
-      const text = renderTemplate(item.template || item.text || '', userData, contentJson.blocks);
-      elements.push(
-        new Paragraph({
-          text,
-          alignment: getAlignment(item.alignment),
-          spacing: {
-            before: 120,
-            after: 120,
-          },
-        })
-      );
-      break;
-    }
-
-    case 'table': {
-      const table = await createTable(item, userData, contentJson);
-      if (table) {
-        elements.push(table);
+function createTagParser(tag, formatting) {
+  const { path, filters } = parsePlaceholder(tag);
+
+  return {
+    get(scope, context) {
+      const value = path === '.' ? scope : getNestedValue(scope, path);
+      if (value === undefined && context.num > 0) {
+        return undefined;
       }
-      break;
-    }
-
-    case 'conditional': {
-      if (evaluateCondition(item.condition, userData)) {
-        for (const subItem of item.content || []) {
-          const subElements = await processContentItem(subItem, userData, contentJson);
-          elements.push(...subElements);
-        }
-      }
-      break;
-    }
 
-    default:
-      console.warn(`Unknown content type: ${item.type}`);
-  }
-
-  return elements;
+      const filtered = applyFilters(value, filters, formatting);
+      return isMissing(filtered) ? undefined : filtered;
+    },
+  };
 }
 
 /**
- * Create a table from table definition
+ * Check that a master .docx opens and its docxtemplater tags compile
+ * @param {Buffer} templateBuffer - Master .docx file
+ * @returns {Object} { valid, errors }
  */
-async function createTable(item, userData, contentJson) {
-  const rows = [];
-
-  // Add header row if defined
-  if (item.headers) {
-    const headerCells = item.headers.map(
-      (header) =>
-        new TableCell({
-          children: [new Paragraph({ text: String(header), bold: true })],
-          shading: {
-            fill: 'CCCCCC',
-          },
-        })
-    );
-    rows.push(new TableRow({ children: headerCells, tableHeader: true }));
-  }
-
-  // Process table rows
-  if (item.loop) {
-    // Dynamic table from user data
-    const loopPath = item.loop.replace(/[{}#/]/g, '').trim();
-    const dataArray = getNestedValue(userData, loopPath);
-
-    if (Array.isArray(dataArray) && dataArray.length > 0) {
-      for (const rowData of dataArray) {
-        const cells = (item.rows || []).map((template) => {
-          const text = renderTemplate(template, rowData, contentJson.blocks);
-          return new TableCell({
-            children: [new Paragraph(String(text))],
-          });
-        });
-        rows.push(new TableRow({ children: cells }));
-      }
-    }
-  } else if (item.source) {
-    // Static table from boilerplate
-    const sourcePath = item.source.replace(/[{}]/g, '').trim();
-    const tableData = getNestedValue(contentJson, sourcePath);
-
-    if (tableData && tableData.defaultRows) {
-      for (const rowData of tableData.defaultRows) {
-        const cells = rowData.map(
-          (cellValue) =>
-            new TableCell({
-              children: [new Paragraph(String(cellValue))],
-            })
-        );
-        rows.push(new TableRow({ children: cells }));
-      }
-    }
-  } else if (item.rows) {
-    // Static table from structure definition
-    for (const rowDef of item.rows) {
-      const cells = rowDef.map((cellDef) => {
-        const text = renderTemplate(
-          cellDef.template || cellDef.text || '',
-          userData,
-          contentJson.blocks
-        );
-        return new TableCell({
-          children: [
-            new Paragraph({
-              text: String(text),
-              bold: cellDef.bold || false,
-            }),
-          ],
-        });
-      });
-      rows.push(new TableRow({ children: cells }));
-    }
-  } else if (item.emptyRows) {
-    // Create empty rows for signatures, etc.
-    const columnCount = item.headers?.length || 3;
-    for (let i = 0; i < item.emptyRows; i++) {
-      const cells = Array(columnCount)
-        .fill(null)
-        .map(
-          () =>
-            new TableCell({
-              children: [new Paragraph('')],
-            })
-        );
-      rows.push(new TableRow({ children: cells }));
-    }
-  }
-
-  if (rows.length === 0) {
-    return null;
+export function validateMasterTemplate(templateBuffer) {
+  try {
+    const zip = new PizZip(templateBuffer);
+    new Docxtemplater(zip, { ...DOCXTEMPLATER_OPTIONS, errorLogging: false });
+    return { valid: true, errors: [] };
+  } catch (error) {
+    const errors = error.properties?.errors?.map(
+      (tagError) => tagError.properties?.explanation || tagError.message
+    ) || [error.message];
+    return { valid: false, errors };
   }
-
-  return new Table({
-    rows,
-    width: {
-      size: 100,
-      type: WidthType.PERCENTAGE,
-    },
-    borders: item.borders !== false ? {
-      top: { style: BorderStyle.SINGLE, size: 1 },
-      bottom: { style: BorderStyle.SINGLE, size: 1 },
-      left: { style: BorderStyle.SINGLE, size: 1 },
-      right: { style: BorderStyle.SINGLE, size: 1 },
-      insideHorizontal: { style: BorderStyle.SINGLE, size: 1 },
-      insideVertical: { style: BorderStyle.SINGLE, size: 1 },
-    } : undefined,
-  });
 }
 
 /**
- * Get alignment type from string
+ * Generate document from structure JSON via the render tree
  */
-function getAlignment(alignment) {
-  const alignmentMap = {
-    left: AlignmentType.LEFT,
-    center: AlignmentType.CENTER,
-    right: AlignmentType.RIGHT,
-    justified: AlignmentType.JUSTIFIED,
-  };
+async function generateFromStructure(structureJson, userData, contentJson, options = {}) {
+  const tree = buildRenderTree(structureJson, userData, contentJson, options.images, options);
+  const output = await getWriter(options.format || 'docx')(tree);
 
-  return alignmentMap[alignment?.toLowerCase()] || AlignmentType.LEFT;
+  // Text formats are written as strings; callers always get a file buffer
+  return typeof output === 'string' ? Buffer.from(output, 'utf8') : output;
 }
 
 /**
  * Preview document structure as HTML (for review step)
+ * Built from the same render tree as the Word document
  */
-export function generateHtmlPreview(structureJson, userData, contentJson) {
+export function generateHtmlPreview(structureJson, userData, contentJson, images = {}, options = {}) {
   try {
-    let html = '<div class="document-preview">';
-
-    for (const section of structureJson.sections || []) {
-      if (section.type === 'header' || section.type === 'footer') {
-        continue;
-      }
-
-      html += '<section>';
-
-      if (section.heading) {
-        const headingText = renderTemplate(section.heading.text, userData, contentJson.blocks);
-        html += `<h${section.heading.level || 1}>${escapeHtml(headingText)}</h${section.heading.level || 1}>`;
-      }
-
-      if (section.content) {
-        for (const item of section.content) {
-          if (item.condition && !evaluateCondition(item.condition, userData)) {
-            continue;
-          }
-
-          html += renderHtmlContentItem(item, userData, contentJson);
-        }
-      }
-
-      html += '</section>';
-    }
-
-    html += '</div>';
-    return html;
+    const tree = buildRenderTree(structureJson, userData, contentJson, images, options);
+    return writeHtml(tree);
   } catch (error) {
     console.error('HTML preview error:', error);
     return '<p>Preview generation failed</p>';
   }
 }
-
-/**
- * Render content item as HTML
- */
-function renderHtmlContentItem(item, userData, contentJson) {
-  switch (item.type) {
-    case 'paragraph': {
-      const text = renderTemplate(item.template || item.text || '', userData, contentJson.blocks);
-      return `<p>${escapeHtml(text)}</p>`;
-    }
-
-    case 'table': {
-      let tableHtml = '<table border="1" style="border-collapse: collapse; width: 100%;">';
-
-      if (item.headers) {
-        tableHtml += '<thead><tr>';
-        item.headers.forEach((header) => {
-          tableHtml += `<th style="background-color: #ccc; padding: 8px;">${escapeHtml(header)}</th>`;
-        });
-        tableHtml += '</tr></thead>';
-      }
-
-      tableHtml += '<tbody>';
-
-      if (item.loop) {
-        const loopPath = item.loop.replace(/[{}#/]/g, '').trim();
-        const dataArray = getNestedValue(userData, loopPath);
-
-        if (Array.isArray(dataArray)) {
-          dataArray.forEach((rowData) => {
-            tableHtml += '<tr>';
-            (item.rows || []).forEach((template) => {
-              const text = renderTemplate(template, rowData, contentJson.blocks);
-              tableHtml += `<td style="padding: 8px;">${escapeHtml(text)}</td>`;
-            });
-            tableHtml += '</tr>';
-          });
-        }
-      } else if (item.emptyRows) {
-        const columnCount = item.headers?.length || 3;
-        for (let i = 0; i < item.emptyRows; i++) {
-          tableHtml += '<tr>';
-          for (let j = 0; j < columnCount; j++) {
-            tableHtml += '<td style="padding: 8px;">&nbsp;</td>';
-          }
-          tableHtml += '</tr>';
-        }
-      }
-
-      tableHtml += '</tbody></table>';
-      return tableHtml;
-    }
-
-    case 'conditional': {
-      if (evaluateCondition(item.condition, userData)) {
-        let html = '';
-        (item.content || []).forEach((subItem) => {
-          html += renderHtmlContentItem(subItem, userData, contentJson);
-        });
-        return html;
-      }
-      return '';
-    }
-
-    default:
-      return '';
-  }
-}
-
-/**
- * Escape HTML special characters
- */
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;',
-  };
-  return String(text).replace(/[&<>"']/g, (char) => map[char]);
-}
-
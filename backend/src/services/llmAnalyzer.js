@@ -60,6 +60,7 @@ export async function analyzeDocuments(documentContents, options = {}) {
       schema_json: analysisResult.schema_json || {},
       content_json: analysisResult.content_json || {},
       structure_json: analysisResult.structure_json || {},
+      example_values: analysisResult.example_values || [],
       metadata: {
         input_tokens: inputTokens,
         output_tokens: outputTokens,
@@ -159,7 +160,7 @@ Return a JSON object with the following structure:
         "fields": [
           {
             "id": "field_id",
-            "type": "text|textarea|number|date|select|table",
+            "type": "text|textarea|number|date|select|table|image|signature|computed",
             "label": "Field Label",
             "placeholder": "Example value",
             "required": true,
@@ -189,7 +190,8 @@ Return a JSON object with the following structure:
         "default": "Default boilerplate text...",
         "variants": {
           "variant_name": "Variant text..."
-        }
+        },
+        "variantField": "field_id_whose_value_names_the_variant"
       }
     },
     "tables": {
@@ -203,7 +205,9 @@ Return a JSON object with the following structure:
     "conditional_sections": {
       "section_id": {
         "trigger": {"field": "field_id", "value": true},
-        "content": "Conditional content..."
+        "heading": "Conditional Section Heading",
+        "content": "Conditional content...",
+        "insertAfter": "structure_section_id"
       }
     },
     "metadata": {
@@ -212,6 +216,18 @@ Return a JSON object with the following structure:
       "lastResearched": "${new Date().toISOString()}"
     }
   },
+  "example_values": [
+    {
+      "fields": {
+        "field_id": "Exact text of this field as it appears in Document 1"
+      },
+      "tables": {
+        "table_field_id": [
+          ["Row 1 cell text in column order", "..."]
+        ]
+      }
+    }
+  ],
   "structure_json": {
     "version": "1.0",
     "metadata": {
@@ -221,9 +237,38 @@ Return a JSON object with the following structure:
         "margins": {"top": 2.5, "bottom": 2.5, "left": 2.5, "right": 2.5},
         "orientation": "portrait",
         "size": "A4"
+      },
+      "formatting": {
+        "locale": "en-AU",
+        "timeZone": "Australia/Perth",
+        "dateFormat": "DD/MM/YYYY",
+        "currency": "AUD"
       }
     },
     "sections": [
+      {
+        "id": "page_header",
+        "type": "header",
+        "variant": "default",
+        "content": [
+          {
+            "type": "paragraph",
+            "template": "{{company_name}} | {{document.number}} Rev {{document.revision}}",
+            "alignment": "right"
+          }
+        ]
+      },
+      {
+        "id": "page_footer",
+        "type": "footer",
+        "content": [
+          {
+            "type": "paragraph",
+            "template": "Page {{PAGE}} of {{NUMPAGES}}",
+            "alignment": "center"
+          }
+        ]
+      },
       {
         "id": "section_id",
         "type": "section",
@@ -251,7 +296,27 @@ CRITICAL REQUIREMENTS:
 - Ensure generated forms will be user-friendly
 - Confidence score should reflect how well the 3 documents align
 - If documents are too different, note this in analysis_log and suggest the user provide more similar examples
-- Use template variables like {{project_name}} consistently across all JSONs`;
+- Use template variables like {{project_name}} consistently across all JSONs
+- Set "metadata.formatting" from the examples' conventions: locale (e.g. en-AU), IANA time zone, dateFormat using the date filter's tokens, and ISO currency code; omit any setting the examples do not show
+- If the examples carry a running reference number (e.g. SWMS-2024-0012), add "metadata.numbering": {"pattern": "SWMS-{{year}}-{{sequence}}", "padding": 4, "reset": "yearly"} and use {{document.number}} where the reference appears instead of a form field
+- Put document control details in the document's own placeholders rather than form fields: {{document.status}}, {{document.revision}} and {{document.generatedAt | date:"DD/MM/YYYY HH:mm"}}; if the examples carry a watermark such as "UNCONTROLLED WHEN PRINTED", set "metadata.watermark": {"text": "UNCONTROLLED WHEN PRINTED"}
+- Format values in templates with pipe filters where the examples show a consistent format, e.g. {{start_date | date:"DD/MM/YYYY"}}, {{company | upper}}, {{notes | default:"N/A"}}, {{attendees | join:", "}}, {{total_cost | currency:"AUD"}}
+- Provide one "example_values" entry per document, in document order, quoting each variable field's text exactly as written (character for character) and every row of each variable table in the order of the table field's columns
+- Reference boilerplate from templates as {{boilerplate.block_id}}; when a block has variants, set "variantField" to the select field that chooses between them (variant names must match that field's option values)
+- Preserve inline formatting in paragraph templates with **bold**, _italic_, [u]underline[/u], [sup]superscript[/sup], [sub]subscript[/sub] and [color=red]coloured text[/color]
+- Represent bulleted or numbered lists as {"type": "list", "style": "unordered|ordered", "items": ["Item text", {"template": "Item", "items": ["Nested item"]}]}; for lists built from a multi-value field use "loop": "field_id" with "itemTemplate": "{{item}}"
+- Conditions ("show_when", content item "condition", boilerplate "variantConditions") are { "field", "operator", "value" } with operators equals, not_equals, greater_than, less_than, contains, not_contains, in, not_in, is_empty, is_not_empty, between ([min, max]), matches (regular expression) and the date comparisons before, after, on_or_before, on_or_after ("YYYY-MM-DD" or "today"); combine them with {"all": [...]}, {"any": [...]} and {"not": {...}}
+- Where a block of content (heading, paragraphs, tables) repeats once per entry of a table field, e.g. one sub-section per work activity, use {"type": "repeat", "loop": "activities", "as": "activity", "content": [...]} (or "repeat": "activities" on a whole section); nested templates can use the entry's columns directly, {{activity.column}}, {{index}}, and repeats may be nested
+- Where the examples contain logos or pictures, add {"type": "image", "asset": "company_logo", "width": 150, "alignment": "left"} for fixed images (the user uploads the asset later) or {"type": "image", "field": "field_id"} backed by an "image" field for per-document photos
+- For sign-off blocks, prefer signatures captured in the form over "emptyRows": a "signature" field placed with {"type": "signature", "field": "supervisor_signature"} (prints the signature, name and date), or for one signature per row, e.g. a worker sign-on sheet, a table field with a {"key": "signature", "type": "signature"} column and a loop table row cell {"signature": "item.signature"}
+- Record page margins in centimetres; if only part of a document is landscape (e.g. a wide risk table appendix), give that section its own "pageSetup" with "orientation": "landscape"
+- Use a "computed" field with an "expression" for values derived from other fields instead of asking for them, e.g. {"id": "risk_score", "type": "computed", "label": "Risk Score", "expression": "likelihood * consequence"}; expressions support + - * / %, comparisons, cond ? a : b, sum/avg/min/max/count over table columns (sum(hazards.hours)), round(value, decimals) and lookup(risk_matrix, likelihood, consequence) with the table given in the field's "lookups": {"risk_matrix": {...}}
+- Where all the examples consistently start content on a new page (e.g. each risk assessment), add {"type": "pageBreak"} before it; where the page layout changes part-way through a section, use {"type": "sectionBreak", "pageSetup": {"orientation": "landscape"}}
+- Describe table layout where the examples show it: "columnWidths" (relative, e.g. [1, 3, 1]), "mergeColumns" (column indexes whose repeated values are merged vertically, e.g. risk categories), multi-row "headers" with cells {"text", "colSpan", "rowSpan"}, and value-based cell colours such as a risk rating's red/amber/green as "shading": [{"columns": [2], "condition": {"field": "value", "operator": "equals", "value": "High"}, "color": "red"}]
+- Where the examples have a contents page, add {"type": "toc", "title": "Contents", "levels": 3} in its place; where their headings are numbered (1, 1.1, 1.2), set "metadata.headingNumbering": {"levels": 2} to the deepest numbered level and leave the numbers out of the heading text
+- Where a table only lists some rows of a table field (e.g. only "High" risk hazards), set "itemCondition" on the loop table; where it ends in a totals row, add "footer": [{"text": "Total", "colSpan": 2}, {"aggregate": "sum", "field": "hours"}] using the aggregates sum, count, average, min and max (an optional "template" such as "{{value | number:1}} h" formats the result) instead of asking for the total in the form
+- Set "keepWithNext": true on paragraphs and tables that introduce the item after them, and "keepTogether": true on tables and paragraphs that must not split across pages (e.g. signature blocks)
+- Capture running page headers/footers as sections with type "header" or "footer"; use {{PAGE}} and {{NUMPAGES}} for page numbers, and set "variant" to "first" or "even" only when the examples use a different first-page or even-page header/footer`;
 }
 
 /**
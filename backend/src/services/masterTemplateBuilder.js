@@ -0,0 +1,297 @@
+import PizZip from 'pizzip';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+
+/**
+ * Builds a tagged docxtemplater master from an example document by replacing
+ * the variable content found during analysis with template tags
+ */
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Parts of the package that can contain variable text
+const TEMPLATE_PART_PATTERN = /^word\/(document|header\d*|footer\d*)\.xml$/;
+
+// Shorter example values would match unrelated text too easily
+const MIN_VALUE_LENGTH = 3;
+
+// Template tags already in the text, e.g. a table loop's
+const TAG_PATTERN = /{[^{}]*}/g;
+
+const MONTH_NAME_PATTERN = /^(\d{1,2}) ([A-Za-z]+) (\d{4})$/;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})$/;
+
+/**
+ * Derive a master .docx from an example document
+ * @param {Buffer} exampleBuffer - Example Word document from the upload session
+ * @param {Object} schemaJson - Template schema with the detected fields
+ * @param {Object} exampleValues - Values seen in this example: { fields: { id: text }, tables: { id: [[cell, ...], ...] } }
+ * @returns {Object} { buffer, taggedFields, untaggedFields }
+ */
+export function buildMasterFromExample(exampleBuffer, schemaJson, exampleValues = {}) {
+  const zip = new PizZip(exampleBuffer);
+  const fields = getSchemaFields(schemaJson);
+  const taggedFields = new Set();
+
+  const tableFields = fields.filter(
+    (field) => field.type === 'table' && Array.isArray(exampleValues.tables?.[field.id]) && exampleValues.tables[field.id].length > 0
+  );
+
+  // Longest values first so "John Smith" is tagged before "Smith"
+  const replacements = fields
+    .filter((field) => field.type !== 'table')
+    .map((field) => ({ id: field.id, value: String(exampleValues.fields?.[field.id] ?? '').trim(), field }))
+    .filter((replacement) => replacement.value.length >= MIN_VALUE_LENGTH)
+    .map(({ id, value, field }) => ({ id, value, tag: getFieldTag(field, value) }))
+    .sort((a, b) => b.value.length - a.value.length);
+
+  const partNames = Object.keys(zip.files).filter((name) => TEMPLATE_PART_PATTERN.test(name));
+
+  for (const partName of partNames) {
+    const xml = new DOMParser().parseFromString(zip.file(partName).asText(), 'text/xml');
+
+    // Tag table loops first so their example rows are not matched as plain fields
+    for (const field of tableFields) {
+      if (tagTableLoop(xml, field, exampleValues.tables[field.id])) {
+        taggedFields.add(field.id);
+      }
+    }
+
+    for (const paragraph of Array.from(xml.getElementsByTagNameNS(WORD_NAMESPACE, 'p'))) {
+      replaceTextSpans(paragraph, replacements).forEach((id) => taggedFields.add(id));
+    }
+
+    zip.file(partName, new XMLSerializer().serializeToString(xml));
+  }
+
+  return {
+    buffer: zip.generate({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+    }),
+    taggedFields: Array.from(taggedFields),
+    untaggedFields: fields.map((field) => field.id).filter((id) => !taggedFields.has(id)),
+  };
+}
+
+/**
+ * Flatten schema sections into a list of fields
+ */
+function getSchemaFields(schemaJson) {
+  return (schemaJson?.sections || []).flatMap((section) => section.fields || []);
+}
+
+/**
+ * Build the tag for a field, formatting dates and numbers the way the example shows them
+ * e.g. {start_date | date:"DD/MM/YYYY"} or {hours | number:1}
+ */
+function getFieldTag(field, exampleText) {
+  switch (field.type) {
+    case 'date': {
+      const format = inferDateFormat(exampleText);
+      return format ? `{${field.id} | date:"${format}"}` : `{${field.id} | date}`;
+    }
+    case 'number': {
+      const decimals = exampleText.match(/^-?[\d,]*\.(\d+)$/)?.[1].length;
+      return decimals ? `{${field.id} | number:${decimals}}` : `{${field.id} | number}`;
+    }
+    default:
+      return `{${field.id}}`;
+  }
+}
+
+/**
+ * Work out the date format an example date is written in
+ * @returns {string|null} Format for the date filter, or null to use the template's date format
+ */
+function inferDateFormat(text) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return 'YYYY-MM-DD';
+  }
+
+  const named = text.match(MONTH_NAME_PATTERN);
+  if (named) {
+    const [, day, month] = named;
+    return `${day.length === 2 ? 'DD' : 'D'} ${month.length > 3 ? 'MMMM' : 'MMM'} YYYY`;
+  }
+
+  const numeric = text.match(NUMERIC_DATE_PATTERN);
+  if (numeric) {
+    const [, first, separator, second, year] = numeric;
+    // Day first unless the first part cannot be a day of a month
+    const monthFirst = Number(first) <= 12 && Number(second) > 12;
+    const day = (monthFirst ? second : first).length === 2 ? 'DD' : 'D';
+    const month = (monthFirst ? first : second).length === 2 ? 'MM' : 'M';
+    const years = year.length === 4 ? 'YYYY' : 'YY';
+    return [...(monthFirst ? [month, day] : [day, month]), years].join(separator);
+  }
+
+  return null;
+}
+
+/**
+ * Replace every occurrence of the example values in a paragraph with tags
+ * Matches may span several runs; the tag keeps the formatting of the run the match starts in.
+ * Text inside existing tags is never matched
+ * @returns {string[]} Ids of the fields that were tagged
+ */
+function replaceTextSpans(paragraph, replacements) {
+  const textNodes = Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 't'));
+  if (textNodes.length === 0) {
+    return [];
+  }
+
+  const texts = textNodes.map((node) => node.textContent);
+  const fullText = texts.join('');
+  const existingTags = Array.from(fullText.matchAll(TAG_PATTERN), (tag) => ({ start: tag.index, end: tag.index + tag[0].length }));
+  const matches = [];
+
+  for (const replacement of replacements) {
+    let from = 0;
+    let start;
+
+    while ((start = fullText.indexOf(replacement.value, from)) !== -1) {
+      const end = start + replacement.value.length;
+      if (![...existingTags, ...matches].some((match) => start < match.end && end > match.start)) {
+        matches.push({ start, end, ...replacement });
+      }
+      from = end;
+    }
+  }
+
+  if (matches.length === 0) {
+    return [];
+  }
+
+  let offset = 0;
+  textNodes.forEach((node, index) => {
+    const nodeEnd = offset + texts[index].length;
+    let text = '';
+
+    for (let position = offset; position < nodeEnd; position++) {
+      const match = matches.find((candidate) => position >= candidate.start && position < candidate.end);
+      if (!match) {
+        text += fullText[position];
+      } else if (position === match.start) {
+        text += match.tag;
+      }
+    }
+
+    if (text !== texts[index]) {
+      setText(node, text);
+    }
+    offset = nodeEnd;
+  });
+
+  return matches.map((match) => match.id);
+}
+
+/**
+ * Turn the table containing the example rows into a docxtemplater row loop
+ * The first matching row becomes the row template and the example rows that
+ * follow it are removed, stopping at the first row that is not the next
+ * example row (e.g. a total row), so no other content is lost
+ * @returns {boolean} True if a matching table was found
+ */
+function tagTableLoop(xml, field, exampleRows) {
+  const firstRow = exampleRows[0].map(normaliseText);
+
+  for (const table of Array.from(xml.getElementsByTagNameNS(WORD_NAMESPACE, 'tbl'))) {
+    const rows = getChildElements(table, 'tr');
+    const rowIndex = rows.findIndex((row) => rowMatches(row, firstRow));
+
+    if (rowIndex === -1) {
+      continue;
+    }
+
+    const cells = getChildElements(rows[rowIndex], 'tc');
+    cells.forEach((cell, index) => {
+      const key = field.columns?.[index]?.key;
+      let tag = key ? `{${key}}` : '';
+
+      if (index === 0) tag = `{#${field.id}}${tag}`;
+      if (index === cells.length - 1) tag = `${tag}{/${field.id}}`;
+
+      setCellText(cell, tag);
+    });
+
+    for (let index = 1; index < exampleRows.length; index++) {
+      const row = rows[rowIndex + index];
+      if (!row || !isExampleRow(row, exampleRows[index].map(normaliseText))) {
+        break;
+      }
+      table.removeChild(row);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a table row is the given example row; a blank example row
+ * matches only a row whose cells are all blank
+ */
+function isExampleRow(row, expectedCells) {
+  if (expectedCells.some(Boolean)) {
+    return rowMatches(row, expectedCells);
+  }
+
+  return getChildElements(row, 'tc').every((cell) => !normaliseText(cell.textContent));
+}
+
+/**
+ * Check whether a table row holds the expected (normalised) cell values
+ */
+function rowMatches(row, expectedCells) {
+  const cells = getChildElements(row, 'tc').map((cell) => normaliseText(cell.textContent));
+
+  if (cells.length < expectedCells.length || !expectedCells.some(Boolean)) {
+    return false;
+  }
+
+  return expectedCells.every((expected, index) => !expected || cells[index] === expected);
+}
+
+/**
+ * Replace the text of a table cell, keeping the formatting of its first run
+ */
+function setCellText(cell, text) {
+  const textNodes = Array.from(cell.getElementsByTagNameNS(WORD_NAMESPACE, 't'));
+
+  if (textNodes.length === 0) {
+    const paragraph = cell.getElementsByTagNameNS(WORD_NAMESPACE, 'p')[0];
+    if (!paragraph) return;
+
+    const run = cell.ownerDocument.createElementNS(WORD_NAMESPACE, 'w:r');
+    const textNode = cell.ownerDocument.createElementNS(WORD_NAMESPACE, 'w:t');
+    run.appendChild(textNode);
+    paragraph.appendChild(run);
+    textNodes.push(textNode);
+  }
+
+  textNodes.forEach((node, index) => setText(node, index === 0 ? text : ''));
+}
+
+/**
+ * Set the text of a w:t element, preserving surrounding whitespace
+ */
+function setText(node, text) {
+  while (node.firstChild) {
+    node.removeChild(node.firstChild);
+  }
+  node.appendChild(node.ownerDocument.createTextNode(text));
+  node.setAttribute('xml:space', 'preserve');
+}
+
+/**
+ * Get the direct children of an element with the given WordprocessingML name
+ */
+function getChildElements(element, localName) {
+  return Array.from(element.childNodes).filter(
+    (child) => child.namespaceURI === WORD_NAMESPACE && child.localName === localName
+  );
+}
+
+function normaliseText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
@@ -0,0 +1,70 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getToday } from 'document-template-generator-shared';
+import { validateNumberingScheme, formatDocumentNumber } from '../utils/numberingScheme.js';
+
+/**
+ * Document reference numbers
+ *
+ * A template opts in with structure_json.metadata.numbering:
+ *   { pattern: 'SWMS-{{year}}-{{sequence}}', padding: 4, reset: 'yearly', start: 1 }
+ *
+ * The pattern is a {{placeholder}} template with {{sequence}} (the zero-padded
+ * counter), {{year}} and {{month}}, plus the form's fields. With reset "yearly"
+ * the counter starts again each year, so the pattern must include {{year}};
+ * "never" (the default) keeps counting. Once numbers have been issued the reset
+ * cannot change, since the new counter would repeat them.
+ * Raising "start" moves the counter forward.
+ */
+
+/**
+ * List the counter periods a template has issued numbers under
+ * @param {string} templateId - Template ID
+ * @returns {Promise<number[]>} Years for yearly counters, 0 for the counter that never resets
+ */
+export async function getIssuedNumberPeriods(templateId) {
+  const { data, error } = await supabaseAdmin
+    .from('document_counters')
+    .select('period')
+    .eq('template_id', templateId);
+
+  if (error) {
+    throw new Error(`Failed to load document counters: ${error.message}`);
+  }
+
+  return data.map((counter) => counter.period);
+}
+
+/**
+ * Allocate the next reference number for a template
+ * The counter is taken atomically in the database; a number whose document then
+ * fails to generate is not reused
+ * @param {Object} template - Template row
+ * @param {Object} userData - Validated form data, available to the pattern
+ * @param {Object} formatting - Formatting settings; their time zone decides the year
+ * @returns {Promise<string|null>} Document number, or null if the template has no numbering
+ */
+export async function allocateDocumentNumber(template, userData, formatting) {
+  const numbering = template.structure_json?.metadata?.numbering;
+  if (!numbering) {
+    return null;
+  }
+
+  const errors = validateNumberingScheme(numbering);
+  if (errors.length > 0) {
+    throw new Error(`Invalid numbering scheme: ${errors.join(', ')}`);
+  }
+
+  const [year, month] = getToday(formatting).split('-');
+
+  const { data: sequence, error } = await supabaseAdmin.rpc('allocate_document_number', {
+    p_template_id: template.id,
+    p_period: numbering.reset === 'yearly' ? Number(year) : 0,
+    p_start: numbering.start || 1,
+  });
+
+  if (error) {
+    throw new Error(`Failed to allocate document number: ${error.message}`);
+  }
+
+  return formatDocumentNumber(numbering, sequence, { ...userData, year, month });
+}
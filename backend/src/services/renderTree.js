@@ -0,0 +1,1232 @@
+import {
+  renderTemplate,
+  evaluateCondition,
+  getNestedValue,
+  formatDate,
+  getToday,
+  splitPageFields,
+  parseInlineMarkup,
+  isConditionalSectionTriggered,
+  resolveInlineColor,
+} from '../utils/templateHelpers.js';
+import { getMissingValuePolicy, isMissing, parsePlaceholder } from '../utils/templateFilters.js';
+import { resolveFormatting } from 'document-template-generator-shared';
+import { scaleImage } from '../utils/imageHelpers.js';
+
+/**
+ * Builds a format-neutral render tree from structure JSON
+ *
+ * Placeholders are resolved and conditions applied here, once, so every writer
+ * (docx, HTML preview, ...) serialises exactly the same content.
+ *
+ * Tree shape:
+ *   {
+ *     titlePage, evenAndOddPages, watermark: { text, color } | null,
+ *     headers: { default, first, even }, footers: { default, first, even }  (arrays of blocks)
+ *     sections: [{ id, breakType, pageSetup, children: [blocks] }]
+ *   }
+ *
+ * Blocks:
+ *   { type: 'heading', level, runs, section, number, anchor, keepWithNext, keepTogether }
+ *     (section is true for section headings; number is the outline number, e.g. "1.2", also
+ *     written at the start of runs; anchor identifies body headings, e.g. "heading-3")
+ *   { type: 'toc', title, levels, entries: [{ level, text, anchor }] }   (entries are the body
+ *     headings down to levels, with their numbers)
+ *   { type: 'paragraph', runs, alignment, keepWithNext, keepTogether }   (a paragraph whose text
+ *     runs over several lines becomes one block per line, with list lines grouped into lists)
+ *   { type: 'list', ordered, items: [{ level, runs }] }
+ *   { type: 'table', headerRows: [[cell]], rows: [[cell]], borders, columnWidths: [percent] | null,
+ *     repeatHeader, headerShading, keepWithNext, keepTogether }
+ *     cell = { runs, colSpan, rowSpan, shading, image: { image, width, height } }; cells covered
+ *     by a span are left out, as in HTML
+ *   { type: 'image', image, width, height, alignment, alt, keepWithNext }
+ *   { type: 'pageBreak' }
+ *
+ * Section breaks split a structure section into several tree sections; sections
+ * after the first carry the breakType ("nextPage", "continuous", "evenPage", "oddPage").
+ *
+ * Runs: { text, bold, italics, underline, superScript, subScript, color } or { field: 'PAGE' | 'NUMPAGES' }
+ */
+
+const HEADER_FOOTER_VARIANTS = ['default', 'first', 'even'];
+
+// Portrait paper sizes in millimetres
+const PAGE_SIZES = {
+  A3: { width: 297, height: 420 },
+  A4: { width: 210, height: 297 },
+  A5: { width: 148, height: 210 },
+  LETTER: { width: 215.9, height: 279.4 },
+  LEGAL: { width: 215.9, height: 355.6 },
+};
+
+// Millimetres per pageSetup margin unit
+const MARGIN_UNITS = {
+  mm: 1,
+  cm: 10,
+  in: 25.4,
+};
+
+// Word's default margins in millimetres
+const DEFAULT_MARGINS = {
+  top: 25.4,
+  bottom: 25.4,
+  left: 25.4,
+  right: 25.4,
+  header: 12.5,
+  footer: 12.5,
+};
+
+export const MAX_LIST_LEVEL = 8;
+
+// Light grey, the header colour tables have always used
+const DEFAULT_HEADER_SHADING = 'CCCCCC';
+
+// Signature heights in pixels, on their own and in table cells
+const SIGNATURE_HEIGHT = 60;
+const TABLE_SIGNATURE_HEIGHT = 40;
+
+// Printed in place of a signature that has not been drawn, to sign on paper
+const SIGNATURE_LINE = '______________________________';
+
+const MAX_HEADING_LEVEL = 6;
+
+// Summaries a loop table's footer cells can show over its rows
+const TABLE_AGGREGATES = ['sum', 'count', 'average', 'min', 'max'];
+
+// Heading levels listed in a table of contents, and numbered by metadata.headingNumbering: true
+const DEFAULT_OUTLINE_LEVELS = 3;
+const DEFAULT_TOC_TITLE = 'Contents';
+
+// A line of text that is a list item: indentation, then a bullet or a number and a space
+const LIST_LINE_PATTERN = /^([ \t]*)(?:([-*\u2022])|(\d+)[.)])[ \t]+(?=\S)/;
+
+// Where the content after a section break starts, as in Word
+const SECTION_BREAK_TYPES = ['nextPage', 'continuous', 'evenPage', 'oddPage'];
+
+/**
+ * Build the render tree for a document
+ * @param {Object} structureJson - Document structure definition
+ * @param {Object} userData - User's form data
+ * @param {Object} contentJson - Boilerplate blocks, tables and conditional sections
+ * @param {Object} images - Images loaded by assetService.loadDocumentImages
+ * @param {Object} options - { formatting }, the user's default formatting settings (overridden
+ * by structure_json.metadata.formatting), and { document }, details of the document being
+ * generated such as its number, available to templates as {{document.*}}, { watermark }
+ * from resolveWatermark, { title }, the document title for formats that record one, and
+ * { schema }, the template's schema_json, whose textarea values are split into paragraphs
+ * @returns {Object} Render tree
+ */
+export function buildRenderTree(structureJson, userData, contentJson = {}, images = {}, options = {}) {
+  if (!structureJson || !structureJson.sections) {
+    throw new Error('Invalid structure JSON');
+  }
+
+  const formatting = resolveFormatting(options.formatting, structureJson.metadata?.formatting);
+
+  const context = {
+    // Merge helper values into userData
+    data: {
+      ...userData,
+      ...(options.document && { document: options.document }),
+      today: getToday(formatting),
+      formatDate: (date) => formatDate(date, formatting),
+    },
+    contentJson: contentJson || {},
+    images: images || {},
+    missingValues: getMissingValuePolicy(structureJson.metadata?.missingValues),
+    formatting,
+    multilineFields: getMultilineFields(options.schema),
+  };
+
+  const documentPageSetup = structureJson.metadata?.pageSetup;
+  const sections = [];
+
+  for (const section of placeConditionalSections(structureJson.sections, context.contentJson)) {
+    // Header and footer sections are attached to the page setup, not the body
+    if (section.type === 'header' || section.type === 'footer') {
+      continue;
+    }
+
+    // A repeating section renders its heading and content once per array value
+    const blocks = section.repeat
+      ? getLoopIterations({ ...section, loop: section.repeat }, context.data).flatMap((itemData) =>
+          buildSectionBlocks(section, itemData, context)
+        )
+      : buildSectionBlocks(section, context.data, context);
+
+    let current = {
+      id: section.id,
+      pageSetup: resolvePageSetup(documentPageSetup, section.pageSetup),
+      children: [],
+    };
+    sections.push(current);
+
+    // A section break starts a new page section, optionally with its own page setup
+    for (const block of blocks) {
+      if (block.type !== 'sectionBreak') {
+        current.children.push(block);
+        continue;
+      }
+
+      current = {
+        id: section.id,
+        breakType: block.breakType,
+        pageSetup: resolvePageSetup(documentPageSetup, mergePageSetup(section.pageSetup, block.pageSetup)),
+        children: [],
+      };
+      sections.push(current);
+    }
+  }
+
+  // Headings are numbered, then listed in the tables of contents, once the whole body is built
+  numberHeadings(sections, structureJson.metadata?.headingNumbering);
+  fillTablesOfContents(sections);
+
+  return {
+    ...buildHeadersAndFooters(structureJson.sections, context),
+    title: options.title || null,
+    watermark: options.watermark || null,
+    sections,
+  };
+}
+
+/**
+ * Check a template's heading numbering setting
+ * @param {boolean|Object} headingNumbering - structure_json.metadata.headingNumbering:
+ * true, or { levels } to number headings down to that level (default 3)
+ * @returns {string[]} Error messages, empty if the setting is valid or absent
+ */
+export function validateHeadingNumbering(headingNumbering) {
+  if (headingNumbering === undefined || headingNumbering === null || typeof headingNumbering === 'boolean') {
+    return [];
+  }
+
+  if (typeof headingNumbering !== 'object' || Array.isArray(headingNumbering)) {
+    return ['Heading numbering must be true, false or an object'];
+  }
+
+  const { levels } = headingNumbering;
+  if (levels !== undefined && !(Number.isInteger(levels) && levels >= 1 && levels <= MAX_HEADING_LEVEL)) {
+    return [`Heading numbering levels must be a whole number from 1 to ${MAX_HEADING_LEVEL}`];
+  }
+
+  return [];
+}
+
+/**
+ * Check the footer rows of a template's tables
+ * Aggregate cells summarise the rows of a loop over a table field, so they are
+ * only allowed on loop tables
+ * @param {Array<Object>} sections - structure_json.sections
+ * @returns {string[]} Error messages, empty if every footer is valid
+ */
+export function validateTableFooters(sections) {
+  const errors = new Set();
+
+  const visit = (items = []) => {
+    for (const item of items) {
+      if (item.type === 'table') {
+        for (const cellDef of getFooterRows(item).flat()) {
+          if (!cellDef?.aggregate) continue;
+
+          if (!item.loop) {
+            errors.add('Table footer aggregates are only allowed on loop tables');
+          }
+          if (!TABLE_AGGREGATES.includes(cellDef.aggregate)) {
+            errors.add(`Table footer aggregate must be one of: ${TABLE_AGGREGATES.join(', ')}`);
+          }
+        }
+      }
+      visit(item.content);
+    }
+  };
+  (sections || []).forEach((section) => visit(section.content));
+
+  return [...errors];
+}
+
+/**
+ * Give every body heading an anchor and, when heading numbering is on, an
+ * outline number (1, 1.1, 1.1.1) written at the start of its text
+ * Headings below the numbered levels keep their text as it is
+ */
+function numberHeadings(sections, headingNumbering) {
+  const levels = headingNumbering ? headingNumbering.levels || DEFAULT_OUTLINE_LEVELS : 0;
+  const counters = [];
+  let count = 0;
+
+  for (const block of sections.flatMap((section) => section.children)) {
+    if (block.type !== 'heading') continue;
+
+    count += 1;
+    block.anchor = `heading-${count}`;
+
+    if (block.level > levels) continue;
+
+    // Deeper levels restart under each new heading; a skipped level counts as 0
+    counters[block.level - 1] = (counters[block.level - 1] || 0) + 1;
+    counters.length = block.level;
+    block.number = Array.from(counters, (counter) => counter || 0).join('.');
+    block.runs = [{ text: `${block.number} ` }, ...block.runs];
+  }
+}
+
+/**
+ * List the body headings in each table of contents
+ */
+function fillTablesOfContents(sections) {
+  const blocks = sections.flatMap((section) => section.children);
+  const headings = blocks.filter((block) => block.type === 'heading');
+
+  for (const toc of blocks.filter((block) => block.type === 'toc')) {
+    toc.entries = headings
+      .filter((heading) => heading.level <= toc.levels)
+      .map((heading) => ({
+        level: heading.level,
+        text: heading.runs.map((run) => run.text || '').join(''),
+        anchor: heading.anchor,
+      }));
+  }
+}
+
+/**
+ * Build the heading and content blocks of a body section
+ */
+function buildSectionBlocks(section, data, context) {
+  const blocks = [];
+
+  if (section.heading) {
+    blocks.push({
+      type: 'heading',
+      section: true,
+      level: section.heading.level || 1,
+      runs: createPlainRuns(render(section.heading.text, data, context)),
+    });
+  }
+
+  blocks.push(...buildBlocks(section.content || [], data, context));
+  return blocks;
+}
+
+/**
+ * Merge a page setup override into a base page setup, including its margins
+ */
+function mergePageSetup(base = {}, override = {}) {
+  return {
+    ...base,
+    ...override,
+    margins: {
+      ...base?.margins,
+      ...override?.margins,
+    },
+  };
+}
+
+/**
+ * Resolve the page setup for a section into millimetres
+ * Margins are in centimetres unless pageSetup.unit is "mm" or "in"
+ * @returns {Object} { width, height, orientation, margins } with portrait width/height
+ */
+function resolvePageSetup(documentPageSetup = {}, sectionPageSetup = {}) {
+  const pageSetup = mergePageSetup(documentPageSetup, sectionPageSetup);
+
+  const size = PAGE_SIZES[String(pageSetup.size || '').toUpperCase()];
+  if (pageSetup.size && !size) {
+    console.warn(`Unknown page size: ${pageSetup.size}`);
+  }
+
+  const unit = MARGIN_UNITS[pageSetup.unit] || MARGIN_UNITS.cm;
+  const margins = { ...DEFAULT_MARGINS };
+  for (const side of Object.keys(DEFAULT_MARGINS)) {
+    const value = Number(pageSetup.margins[side]);
+    if (pageSetup.margins[side] !== undefined && !isNaN(value)) {
+      margins[side] = value * unit;
+    }
+  }
+
+  return {
+    ...(size || PAGE_SIZES.A4),
+    orientation: String(pageSetup.orientation).toLowerCase() === 'landscape' ? 'landscape' : 'portrait',
+    margins,
+  };
+}
+
+/**
+ * Build header and footer blocks from header/footer sections
+ * Each section may set a variant of "default", "first" or "even"; missing
+ * variants fall back to the default content
+ */
+function buildHeadersAndFooters(sections, context) {
+  const definitions = { header: {}, footer: {} };
+
+  for (const section of sections) {
+    if (section.type !== 'header' && section.type !== 'footer') {
+      continue;
+    }
+
+    const variant = section.variant || 'default';
+    if (!HEADER_FOOTER_VARIANTS.includes(variant)) {
+      console.warn(`Unknown ${section.type} variant: ${variant}`);
+      continue;
+    }
+
+    definitions[section.type][variant] = section;
+  }
+
+  const hasVariant = (variant) => Boolean(definitions.header[variant] || definitions.footer[variant]);
+  const titlePage = hasVariant('first');
+  const evenAndOddPages = hasVariant('even');
+  const variants = HEADER_FOOTER_VARIANTS.filter(
+    (variant) => variant === 'default' || (variant === 'first' && titlePage) || (variant === 'even' && evenAndOddPages)
+  );
+
+  const headers = {};
+  const footers = {};
+
+  for (const variant of variants) {
+    const headerSection = definitions.header[variant] || definitions.header.default;
+    if (headerSection) {
+      headers[variant] = buildHeaderFooterBlocks(headerSection, context);
+    }
+
+    const footerSection = definitions.footer[variant] || definitions.footer.default;
+    if (footerSection) {
+      footers[variant] = buildHeaderFooterBlocks(footerSection, context);
+    }
+  }
+
+  return { titlePage, evenAndOddPages, headers, footers };
+}
+
+/**
+ * Build the blocks of a header or footer section; page and section breaks and
+ * tables of contents do not apply there
+ */
+function buildHeaderFooterBlocks(section, context) {
+  return buildBlocks(section.content || [], context.data, context).filter(
+    (block) => block.type !== 'pageBreak' && block.type !== 'sectionBreak' && block.type !== 'toc'
+  );
+}
+
+/**
+ * Build blocks for a list of content items, skipping those whose condition is not met
+ */
+function buildBlocks(items, data, context) {
+  const blocks = [];
+
+  for (const item of items) {
+    // Check conditional rendering
+    if (item.condition && !evaluateCondition(item.condition, data)) {
+      continue;
+    }
+
+    blocks.push(...buildContentItem(item, data, context));
+  }
+
+  return blocks;
+}
+
+/**
+ * Build the blocks for a single content item
+ */
+function buildContentItem(item, data, context) {
+  const { contentJson } = context;
+
+  switch (item.type) {
+    case 'heading':
+      return [
+        {
+          type: 'heading',
+          level: item.level || 2,
+          runs: createPlainRuns(render(item.text || '', data, context)),
+          ...getKeepOptions(item),
+        },
+      ];
+
+    case 'paragraph':
+      return splitParagraphs(createRuns(item.template || item.text || '', data, context, { markMultiline: true }), {
+        alignment: item.alignment || 'left',
+        ...getKeepOptions(item),
+      });
+
+    case 'table': {
+      const table = buildTable(item, data, context);
+      return table ? [{ ...table, ...getKeepOptions(item) }] : [];
+    }
+
+    case 'pageBreak':
+      return [{ type: 'pageBreak' }];
+
+    case 'toc': {
+      // Entries are filled in by fillTablesOfContents once every heading is known
+      const levels = Number.isInteger(item.levels) ? Math.min(Math.max(item.levels, 1), MAX_HEADING_LEVEL) : DEFAULT_OUTLINE_LEVELS;
+      const title = item.title === undefined ? DEFAULT_TOC_TITLE : item.title;
+      return [{ type: 'toc', title: title ? String(render(title, data, context)) : null, levels, entries: [] }];
+    }
+
+    case 'sectionBreak': {
+      const breakType = item.breakType || 'nextPage';
+      if (!SECTION_BREAK_TYPES.includes(breakType)) {
+        console.warn(`Unknown section break type: ${breakType}`);
+      }
+
+      return [
+        {
+          type: 'sectionBreak',
+          breakType: SECTION_BREAK_TYPES.includes(breakType) ? breakType : 'nextPage',
+          pageSetup: item.pageSetup,
+        },
+      ];
+    }
+
+    case 'list': {
+      const items = collectListEntries(item, data).map((entry) => ({
+        level: entry.level,
+        runs: createRuns(entry.template, entry.data, context),
+      }));
+      return items.length > 0 ? [{ type: 'list', ordered: isOrderedList(item), items }] : [];
+    }
+
+    case 'image': {
+      const image = resolveImage(item, data, context.images);
+      if (!image) {
+        console.warn(`Image not found: ${item.asset || item.field}`);
+        return [];
+      }
+
+      return [
+        {
+          type: 'image',
+          image,
+          ...scaleImage(image, item),
+          alignment: item.alignment || 'left',
+          alt: item.asset || item.field,
+        },
+      ];
+    }
+
+    case 'signature':
+      return buildSignature(item, data, context);
+
+    case 'conditional':
+      return evaluateCondition(item.condition, data) ? item.content?.flatMap((subItem) => buildContentItem(subItem, data, context)) || [] : [];
+
+    case 'repeat':
+      // Repeat nested content once per array value, e.g. one sub-section per work activity
+      return getLoopIterations(item, data).flatMap((itemData) => buildBlocks(item.content || [], itemData, context));
+
+    case 'conditionalSection':
+      return buildBlocks(getConditionalSectionItems(item, data, contentJson), data, context);
+
+    default:
+      console.warn(`Unknown content type: ${item.type}`);
+      return [];
+  }
+}
+
+/**
+ * Pagination options shared by paragraphs, headings and tables
+ * keepWithNext keeps the block on the same page as the next one;
+ * keepTogether stops the block itself from splitting across pages
+ */
+function getKeepOptions(item) {
+  return {
+    keepWithNext: Boolean(item.keepWithNext),
+    keepTogether: Boolean(item.keepTogether),
+  };
+}
+
+/**
+ * Render a template into formatted runs
+ * Inline markup becomes run formatting and {{PAGE}} / {{NUMPAGES}} become page number fields.
+ * With markMultiline, textarea values get runs of their own marked "multiline" for splitParagraphs
+ */
+function createRuns(template, data, context, { markMultiline = false } = {}) {
+  return parseInlineMarkup(template).flatMap((run) => {
+    // Only keep formatting that is switched on
+    const formatting = {};
+    for (const key of ['bold', 'italics', 'underline', 'superScript', 'subScript', 'color']) {
+      if (run[key]) formatting[key] = run[key];
+    }
+
+    return splitPageFields(run.text).flatMap((segment) => {
+      if (segment.type === 'field') {
+        return [{ ...formatting, field: segment.field }];
+      }
+      if (!markMultiline) {
+        return [{ ...formatting, text: String(render(segment.value, data, context)) }];
+      }
+
+      return splitMultilinePlaceholders(segment.value, context).map(({ value, multiline }) => ({
+        ...formatting,
+        text: String(render(value, data, context)),
+        ...(multiline && { multiline }),
+      }));
+    });
+  });
+}
+
+/**
+ * Find the fields whose values run over several lines: textarea fields, and
+ * textarea columns of table fields as used in loops ({{item.notes}})
+ * @returns {Object} { fieldIds, columnKeys }
+ */
+function getMultilineFields(schemaJson) {
+  const fieldIds = new Set();
+  const columnKeys = new Set();
+
+  for (const field of (schemaJson?.sections || []).flatMap((section) => section.fields || [])) {
+    if (field.type === 'textarea') fieldIds.add(field.id);
+    for (const column of field.columns || []) {
+      if (column.type === 'textarea') columnKeys.add(column.key);
+    }
+  }
+
+  return { fieldIds, columnKeys };
+}
+
+/**
+ * Split template text so each placeholder of a textarea value is a piece of its own
+ * @returns {Array<Object>} Pieces of { value, multiline }
+ */
+function splitMultilinePlaceholders(template, context) {
+  const { fieldIds, columnKeys } = context.multilineFields;
+  const pieces = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(/{{([^}]+)}}/g)) {
+    const parts = parsePlaceholder(match[1]).path.split('.');
+    const multiline = parts.length === 1 ? fieldIds.has(parts[0]) : parts.length === 2 && columnKeys.has(parts[1]);
+    if (!multiline) continue;
+
+    if (match.index > lastIndex) {
+      pieces.push({ value: template.slice(lastIndex, match.index), multiline: false });
+    }
+    pieces.push({ value: match[0], multiline: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < template.length || pieces.length === 0) {
+    pieces.push({ value: template.slice(lastIndex), multiline: false });
+  }
+
+  return pieces;
+}
+
+/**
+ * Turn rendered runs into paragraph and list blocks
+ *
+ * A paragraph holding a textarea value that runs over several lines becomes one
+ * paragraph per line, and runs of the value's lines starting "- item" (or "*", "•")
+ * or "1. item" become bulleted or numbered lists, nested two spaces per level.
+ * Blank lines are dropped. Paragraphs without textarea values keep their line
+ * breaks, and text on a single line stays one paragraph exactly as written.
+ */
+function splitParagraphs(runs, options) {
+  const runLines = splitRunLines(runs);
+  const lines = runLines
+    .map((line) => (line.fromValue ? parseListLine(line.runs) : { runs: line.runs, list: null, level: 0 }))
+    .filter(({ runs: lineRuns }) => lineRuns.some((run) => run.field || run.text.trim()));
+
+  // A single line is left alone, so "1. Scope" keeps its number, and blank values leave one empty paragraph
+  if (runLines.length === 1 || lines.length === 0) {
+    const lineRuns = runLines.flatMap((line) => line.runs);
+    return [{ type: 'paragraph', runs: lineRuns.length > 0 ? lineRuns : createPlainRuns(''), ...options }];
+  }
+
+  const blocks = [];
+  for (const line of lines) {
+    if (!line.list) {
+      blocks.push({ type: 'paragraph', runs: line.runs, ...options });
+      continue;
+    }
+
+    // Consecutive list lines form one list; a top-level line of the other kind starts a new one
+    const previous = blocks[blocks.length - 1];
+    const ordered = line.list === 'ordered';
+    const entry = { level: line.level, runs: line.runs };
+    if (previous?.type === 'list' && (line.level > 0 || previous.ordered === ordered)) {
+      previous.items.push(entry);
+    } else {
+      blocks.push({ type: 'list', ordered, items: [entry] });
+    }
+  }
+
+  // Lines of a paragraph the author kept together still stay on one page
+  if (options.keepTogether || options.keepWithNext) {
+    blocks.slice(0, -1).forEach((block) => {
+      if (block.type === 'paragraph') block.keepWithNext = true;
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Split runs at line breaks into lines of runs, if any of them holds a textarea value
+ * @returns {Array<Object>} Lines of { runs, fromValue }, where fromValue is true
+ * if the line starts with text from a textarea value
+ */
+function splitRunLines(runs) {
+  const lines = [{ runs: [], fromValue: false }];
+  const split = runs.some((run) => run.multiline);
+
+  for (const { multiline, ...run } of runs) {
+    if (run.field || !split) {
+      lines[lines.length - 1].runs.push(run);
+      continue;
+    }
+
+    run.text.split(/\r?\n/).forEach((text, index) => {
+      if (index > 0) lines.push({ runs: [], fromValue: false });
+
+      const line = lines[lines.length - 1];
+      if (!text) return;
+      if (line.runs.length === 0) line.fromValue = Boolean(multiline);
+      line.runs.push({ ...run, text });
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Read a list marker ("- ", "* ", "• ", "1. ", "1) ") from the start of a line
+ * @returns {Object} { runs, list: 'ordered' | 'unordered' | null, level }, with the
+ * marker and its indentation removed from the runs
+ */
+function parseListLine(runs) {
+  const text = runs.map((run) => (run.field ? '' : run.text)).join('');
+  const match = runs[0] && !runs[0].field ? text.match(LIST_LINE_PATTERN) : null;
+  if (!match) {
+    return { runs, list: null, level: 0 };
+  }
+
+  let remaining = match[0].length;
+  const stripped = [];
+  for (const run of runs) {
+    if (remaining > 0 && !run.field) {
+      const cut = Math.min(remaining, run.text.length);
+      remaining -= cut;
+      if (cut < run.text.length) stripped.push({ ...run, text: run.text.slice(cut) });
+    } else {
+      remaining = 0;
+      stripped.push(run);
+    }
+  }
+
+  return {
+    runs: stripped,
+    list: match[2] ? 'unordered' : 'ordered',
+    level: Math.min(Math.floor(match[1].replace(/\t/g, '  ').length / 2), MAX_LIST_LEVEL),
+  };
+}
+
+/**
+ * Render a template with the document's boilerplate and missing-value policy
+ */
+function render(template, data, context) {
+  return renderTemplate(template, data, context.contentJson.blocks, {
+    missingValues: context.missingValues,
+    formatting: context.formatting,
+  });
+}
+
+/**
+ * Wrap already-rendered text in a single unformatted run
+ */
+function createPlainRuns(text, formatting = {}) {
+  return [{ ...formatting, text: String(text ?? '') }];
+}
+
+/**
+ * Build a table block from a table definition
+ *
+ * Layout options:
+ *   headers        - column titles, or a list of header rows; header cells may be
+ *                    { text, colSpan, rowSpan }
+ *   repeatHeader   - repeat the header rows on every page (default true)
+ *   headerShading  - header background colour (default light grey)
+ *   columnWidths   - relative column widths, e.g. [1, 2, 1] or percentages
+ *   mergeColumns   - column indexes whose runs of equal values are merged vertically
+ *   shading        - value-based cell colours: [{ columns, condition, color }]; the
+ *                    condition sees the row data plus "value", the cell's text
+ *   itemCondition  - loop tables only list the rows meeting this condition
+ *   footer         - a row, or list of rows, after the body such as totals; cells are
+ *                    templates or { text, colSpan, shading }, or aggregates of the loop
+ *                    rows { aggregate, field, template }, see buildFooterCell
+ * Static rows may also give cells { template, bold, colSpan, rowSpan, shading }, and
+ * any row may give { signature: 'path' } for a signature field or column.
+ */
+function buildTable(item, data, context) {
+  const { contentJson } = context;
+  const rows = [];
+  const loopRows = getLoopIterations(item, data);
+
+  // Cells of one body row, coloured by the shading rules; signature cells hold the drawn signature
+  const bodyRow = (cellDefs, rowData) =>
+    cellDefs.map((cellDef, columnIndex) => {
+      const text = render(cellDef.template ?? '', rowData, context);
+      const signature = cellDef.signature ? resolveSignatureImage(getNestedValue(rowData, cellDef.signature), context.images) : null;
+      return {
+        runs: createPlainRuns(text, { bold: cellDef.bold || undefined }),
+        ...getCellSpans(cellDef),
+        shading: resolveInlineColor(cellDef.shading) || getValueShading(item.shading, columnIndex, text, rowData),
+        ...(signature && { image: { image: signature, ...scaleImage(signature, { height: TABLE_SIGNATURE_HEIGHT }) } }),
+      };
+    });
+
+  if (item.loop) {
+    // Dynamic table from user data; a row cell is a template or { signature: path }
+    for (const rowItemData of loopRows) {
+      rows.push(bodyRow((item.rows || []).map((cellDef) => (typeof cellDef === 'string' ? { template: cellDef } : cellDef)), rowItemData));
+    }
+  } else if (item.source) {
+    // Static table from boilerplate
+    const sourcePath = item.source.replace(/[{}]/g, '').trim();
+    const tableData = getNestedValue(contentJson, sourcePath);
+
+    for (const rowData of tableData?.defaultRows || []) {
+      rows.push(bodyRow(rowData.map((cellValue) => ({ template: String(cellValue) })), data));
+    }
+  } else if (item.rows) {
+    // Static table from structure definition; a row is a list of cells or { cells, condition }
+    for (const rowDef of item.rows) {
+      const cells = Array.isArray(rowDef) ? rowDef : rowDef.cells || [];
+      if (!Array.isArray(rowDef) && rowDef.condition && !evaluateCondition(rowDef.condition, data)) {
+        continue;
+      }
+
+      rows.push(
+        bodyRow(
+          cells.map((cellDef) => (typeof cellDef === 'string' ? { template: cellDef } : { ...cellDef, template: cellDef.template || cellDef.text || '' })),
+          data
+        )
+      );
+    }
+  } else if (item.emptyRows) {
+    // Create empty rows for signatures, etc.
+    const columnCount = getColumnCount(item) || 3;
+    for (let i = 0; i < item.emptyRows; i++) {
+      rows.push(bodyRow(Array.from({ length: columnCount }, () => ({})), data));
+    }
+  }
+
+  const headerRows = getHeaderRows(item).map((headerRow) =>
+    headerRow.map((header) => {
+      const headerDef = typeof header === 'string' ? { text: header } : header;
+      return {
+        runs: createPlainRuns(render(headerDef.text || headerDef.template || '', data, context), { bold: true }),
+        ...getCellSpans(headerDef),
+      };
+    })
+  );
+
+  if (headerRows.length === 0 && rows.length === 0) {
+    return null;
+  }
+
+  // Footer rows follow the body and are never merged into it; only loop rows are aggregated
+  const footerRows = getFooterRows(item).map((footerRow) =>
+    footerRow.map((cellDef) => buildFooterCell(cellDef, item.loop ? loopRows : null, data, context))
+  );
+
+  return {
+    type: 'table',
+    headerRows,
+    rows: [...mergeColumnCells(rows, item.mergeColumns), ...footerRows],
+    borders: item.borders !== false,
+    columnWidths: getColumnWidths(item.columnWidths),
+    repeatHeader: item.repeatHeader !== false,
+    headerShading: resolveInlineColor(item.headerShading) || DEFAULT_HEADER_SHADING,
+  };
+}
+
+/**
+ * Normalise a table's headers to a list of header rows
+ */
+function getHeaderRows(item) {
+  if (!Array.isArray(item.headers) || item.headers.length === 0) {
+    return [];
+  }
+
+  return item.headers.every(Array.isArray) ? item.headers : [item.headers];
+}
+
+/**
+ * Normalise a table's footer to a list of footer rows
+ */
+function getFooterRows(item) {
+  if (!Array.isArray(item.footer) || item.footer.length === 0) {
+    return [];
+  }
+
+  return item.footer.every(Array.isArray) ? item.footer : [item.footer];
+}
+
+/**
+ * Build one footer cell, bold unless it says otherwise
+ * An aggregate cell summarises a column of the loop rows:
+ *   { aggregate: 'sum', field: 'hours', template: '{{value | number:1}} h' }
+ * with aggregate one of sum, count, average, min or max; the template (default
+ * "{{value}}") shows the result as {{value}}. count without a field counts the rows.
+ * Tables without a loop (loopRows null) leave aggregate cells empty
+ */
+function buildFooterCell(cellDef, loopRows, data, context) {
+  const footerDef = typeof cellDef === 'string' ? { template: cellDef } : cellDef;
+  let text = '';
+  if (!footerDef.aggregate) {
+    text = render(footerDef.template ?? footerDef.text ?? '', data, context);
+  } else if (loopRows) {
+    text = render(footerDef.template ?? '{{value}}', { ...data, value: aggregateColumn(footerDef.aggregate, loopRows, footerDef.field) }, context);
+  }
+
+  return {
+    runs: createPlainRuns(text, { bold: footerDef.bold !== false || undefined }),
+    ...getCellSpans(footerDef),
+    shading: resolveInlineColor(footerDef.shading),
+  };
+}
+
+/**
+ * Aggregate a field over the loop rows
+ * Missing values are left out, as are values that are not numbers for every
+ * aggregate but count; with no numbers, average, min and max have no value
+ */
+function aggregateColumn(aggregate, loopRows, field) {
+  const values = field ? loopRows.map((rowData) => getNestedValue(rowData, field)).filter((value) => !isMissing(value)) : loopRows;
+  if (aggregate === 'count') {
+    return values.length;
+  }
+
+  const numbers = values.map(Number).filter(Number.isFinite);
+  const sum = numbers.reduce((total, number) => total + number, 0);
+
+  // Round away floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+  const clean = (number) => Number(number.toFixed(10));
+
+  switch (aggregate) {
+    case 'sum':
+      return clean(sum);
+    case 'average':
+      return numbers.length > 0 ? clean(sum / numbers.length) : undefined;
+    case 'min':
+      return numbers.length > 0 ? Math.min(...numbers) : undefined;
+    case 'max':
+      return numbers.length > 0 ? Math.max(...numbers) : undefined;
+    default:
+      console.warn(`Unknown table aggregate: ${aggregate}`);
+      return undefined;
+  }
+}
+
+/**
+ * Count a table's columns from its column widths or first header row
+ */
+function getColumnCount(item) {
+  if (Array.isArray(item.columnWidths)) {
+    return item.columnWidths.length;
+  }
+
+  const [firstRow] = getHeaderRows(item);
+  return firstRow?.reduce((count, header) => count + (getCellSpans(header).colSpan || 1), 0) || 0;
+}
+
+/**
+ * Read positive integer colSpan / rowSpan from a cell definition
+ */
+function getCellSpans(cellDef) {
+  const spans = {};
+  if (cellDef && typeof cellDef === 'object') {
+    if (Number.isInteger(cellDef.colSpan) && cellDef.colSpan > 1) spans.colSpan = cellDef.colSpan;
+    if (Number.isInteger(cellDef.rowSpan) && cellDef.rowSpan > 1) spans.rowSpan = cellDef.rowSpan;
+  }
+  return spans;
+}
+
+/**
+ * Convert relative column widths to percentages of the table width
+ */
+function getColumnWidths(columnWidths) {
+  if (!Array.isArray(columnWidths) || columnWidths.length === 0) {
+    return null;
+  }
+
+  const widths = columnWidths.map((width) => Math.max(Number(width) || 0, 0));
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  return widths.map((width) => (width / total) * 100);
+}
+
+/**
+ * Pick a cell's colour from the first value-based shading rule that matches
+ */
+function getValueShading(rules, columnIndex, value, rowData) {
+  if (!Array.isArray(rules)) {
+    return undefined;
+  }
+
+  const rule = rules.find(
+    (candidate) =>
+      (!Array.isArray(candidate.columns) || candidate.columns.includes(columnIndex)) &&
+      evaluateCondition(candidate.condition, { ...rowData, value })
+  );
+
+  return resolveInlineColor(rule?.color) || undefined;
+}
+
+/**
+ * Merge runs of equal, non-empty values in the given columns into one cell
+ * spanning those rows; the covered cells are removed, as in HTML rowspan
+ * Later columns only merge within the groups of earlier ones (category, then
+ * sub-category), and rows with their own column or row spans are never merged
+ */
+function mergeColumnCells(rows, mergeColumns) {
+  if (!Array.isArray(mergeColumns) || mergeColumns.length === 0) {
+    return rows;
+  }
+
+  const covered = rows.map(() => new Set());
+  const hasSpans = rows.map((row) => row.some((cell) => cell.colSpan || cell.rowSpan));
+  const groupStarts = new Set();
+  const cellText = (cell) => cell.runs.map((run) => run.text).join('');
+
+  for (const column of mergeColumns) {
+    let anchorRow = null;
+
+    rows.forEach((row, rowIndex) => {
+      const cell = row[column];
+      const mergeable = cell && !hasSpans[rowIndex] && cellText(cell) !== '';
+
+      if (mergeable && anchorRow !== null && !groupStarts.has(rowIndex) && cellText(rows[anchorRow][column]) === cellText(cell)) {
+        const anchor = rows[anchorRow][column];
+        anchor.rowSpan = (anchor.rowSpan || 1) + 1;
+        covered[rowIndex].add(column);
+      } else {
+        anchorRow = mergeable ? rowIndex : null;
+        groupStarts.add(rowIndex);
+      }
+    });
+  }
+
+  return rows.map((row, rowIndex) => row.filter((cell, column) => !covered[rowIndex].has(column)));
+}
+
+/**
+ * Check whether a list definition uses ordered (numbered) style
+ */
+function isOrderedList(item) {
+  return item.style === 'ordered' || item.style === 'numbered';
+}
+
+/**
+ * Flatten a list definition into entries of { template, data, level }
+ *
+ * A list renders its "loop" array first (one entry per value, using "itemTemplate",
+ * default "{{item}}"), followed by its static "items". Static items are strings or
+ * objects with template, level, condition and their own nested "items"/"loop".
+ */
+function collectListEntries(item, data, level = item.level || 0) {
+  const entries = [];
+  const entryLevel = Math.min(level, MAX_LIST_LEVEL);
+
+  for (const itemData of getLoopIterations(item, data)) {
+    entries.push({ template: item.itemTemplate || '{{item}}', data: itemData, level: entryLevel });
+  }
+
+  for (const listItem of item.items || []) {
+    const definition = typeof listItem === 'string' ? { template: listItem } : listItem;
+
+    if (definition.condition && !evaluateCondition(definition.condition, data)) {
+      continue;
+    }
+
+    const itemLevel = Math.min(definition.level ?? entryLevel, MAX_LIST_LEVEL);
+    const template = definition.template || definition.text;
+
+    if (template) {
+      entries.push({ template, data, level: itemLevel });
+    }
+
+    if (definition.items || definition.loop) {
+      entries.push(...collectListEntries(definition, data, template ? itemLevel + 1 : itemLevel));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Build the template data for each value of a definition's "loop" array
+ * Values failing the definition's "itemCondition" are skipped
+ * @param {Object} definition - Definition with loop, and optional as / itemCondition
+ * @param {Object} data - Data the loop path is resolved against
+ * @returns {Array<Object>} Template data per iteration
+ */
+function getLoopIterations(definition, data) {
+  if (!definition.loop) {
+    return [];
+  }
+
+  const loopPath = definition.loop.replace(/[{}#/]/g, '').trim();
+  const dataArray = getNestedValue(data, loopPath);
+
+  if (!Array.isArray(dataArray)) {
+    return [];
+  }
+
+  return dataArray
+    .map((value, index) => getLoopItemData(data, value, index, definition.as))
+    .filter((itemData) => !definition.itemCondition || evaluateCondition(definition.itemCondition, itemData));
+}
+
+/**
+ * Build template data for one value of a looped array
+ * Object values expose their keys directly; every value is available as {{item}}
+ * (and under its "as" name, which stays visible inside nested loops) and its
+ * 1-based position as {{index}}
+ */
+function getLoopItemData(data, value, index, as) {
+  const fields = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  return {
+    ...data,
+    ...fields,
+    ...(as ? { [as]: value } : {}),
+    item: value,
+    index: index + 1,
+  };
+}
+
+/**
+ * Build the blocks of a signature item: the drawn signature, or a line to sign
+ * on paper, above the signatory's name and the date signed
+ *   { type: 'signature', field: 'supervisor_signature', height: 60, showDetails: true }
+ */
+function buildSignature(item, data, context) {
+  const signature = getNestedValue(data, item.field);
+  const image = resolveSignatureImage(signature, context.images);
+  const alignment = item.alignment || 'left';
+  const details = item.showDetails === false
+    ? []
+    : [signature?.name, signature?.date && formatDate(signature.date, context.formatting)].filter(Boolean);
+
+  // The signature stays on the same page as the name and date under it
+  const keepWithNext = details.length > 0 || Boolean(item.keepWithNext);
+  const blocks = [];
+
+  if (image) {
+    const size = item.width || item.height ? item : { height: SIGNATURE_HEIGHT };
+    blocks.push({ type: 'image', image, ...scaleImage(image, size), alignment, alt: item.field, keepWithNext });
+  } else {
+    blocks.push({ type: 'paragraph', runs: createPlainRuns(SIGNATURE_LINE), alignment, keepWithNext, keepTogether: false });
+  }
+
+  if (details.length > 0) {
+    blocks.push({ type: 'paragraph', runs: createPlainRuns(details.join(', ')), alignment, ...getKeepOptions(item) });
+  }
+
+  return blocks;
+}
+
+/**
+ * Find the uploaded image of a signature value
+ */
+function resolveSignatureImage(signature, images = {}) {
+  const path = signature?.path;
+  return (typeof path === 'string' && images.uploads?.[path]) || null;
+}
+
+/**
+ * Find the image for an image item: a template asset by name, or the
+ * upload referenced by an image form field
+ */
+function resolveImage(item, data, images = {}) {
+  if (item.asset) {
+    return images.assets?.[item.asset] || null;
+  }
+
+  if (item.field) {
+    const path = getNestedValue(data, item.field)?.path;
+    return (path && images.uploads?.[path]) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Insert content_json conditional sections into the structure
+ *
+ * Conditional sections already referenced by a { type: "conditionalSection", ref }
+ * content item stay where they are. The rest are appended to the section named by
+ * their "insertAfter", or to the last body section.
+ */
+function placeConditionalSections(sections, contentJson) {
+  const conditionalSections = contentJson?.conditional_sections || {};
+  const referenced = new Set();
+
+  const collectReferences = (items = []) => {
+    for (const item of items) {
+      if (item.type === 'conditionalSection') referenced.add(item.ref);
+      collectReferences(item.content);
+    }
+  };
+  sections.forEach((section) => collectReferences(section.content));
+
+  const unplaced = Object.entries(conditionalSections).filter(([id]) => !referenced.has(id));
+  if (unplaced.length === 0) {
+    return sections;
+  }
+
+  const bodySections = sections.filter((section) => section.type !== 'header' && section.type !== 'footer');
+  const lastBodySection = bodySections[bodySections.length - 1];
+
+  return sections.map((section) => {
+    const additions = unplaced
+      .filter(([, conditionalSection]) => {
+        const target = bodySections.find((candidate) => candidate.id === conditionalSection.insertAfter);
+        return target ? target === section : section === lastBodySection;
+      })
+      .map(([id]) => ({ type: 'conditionalSection', ref: id }));
+
+    return additions.length > 0 ? { ...section, content: [...(section.content || []), ...additions] } : section;
+  });
+}
+
+/**
+ * Get the content items of a conditional section when its trigger matches
+ * Content may be a text template or a list of content items; an optional
+ * heading ({ text, level } or text) is placed first
+ */
+function getConditionalSectionItems(item, data, contentJson) {
+  const conditionalSection = contentJson.conditional_sections?.[item.ref];
+
+  if (!conditionalSection) {
+    console.warn(`Unknown conditional section: ${item.ref}`);
+    return [];
+  }
+
+  if (!isConditionalSectionTriggered(conditionalSection, data)) {
+    return [];
+  }
+
+  const items = [];
+
+  if (conditionalSection.heading) {
+    const heading =
+      typeof conditionalSection.heading === 'string'
+        ? { text: conditionalSection.heading }
+        : conditionalSection.heading;
+    items.push({ type: 'heading', ...heading });
+  }
+
+  if (Array.isArray(conditionalSection.content)) {
+    items.push(...conditionalSection.content);
+  } else if (conditionalSection.content) {
+    items.push({ type: 'paragraph', template: conditionalSection.content });
+  }
+
+  return items;
+}
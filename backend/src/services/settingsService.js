@@ -0,0 +1,44 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * User settings service
+ */
+
+/**
+ * Load a user's default formatting settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Partial formatting settings ({} if none are saved)
+ */
+export async function getUserFormatting(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_settings')
+    .select('formatting_json')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch user settings: ${error.message}`);
+  }
+
+  return data?.formatting_json || {};
+}
+
+/**
+ * Save a user's default formatting settings
+ * @param {string} userId - User ID
+ * @param {Object} formatting - Partial formatting settings, already validated
+ * @returns {Promise<Object>} Saved formatting settings
+ */
+export async function saveUserFormatting(userId, formatting) {
+  const { data, error } = await supabaseAdmin
+    .from('user_settings')
+    .upsert({ user_id: userId, formatting_json: formatting })
+    .select('formatting_json')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save user settings: ${error.message}`);
+  }
+
+  return data.formatting_json;
+}
@@ -5,15 +5,40 @@ import { randomUUID } from 'crypto';
  * Storage service for managing file uploads and downloads
  */
 
+const CONTENT_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf: 'application/pdf',
+  odt: 'application/vnd.oasis.opendocument.text',
+  html: 'text/html; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+};
+
+/**
+ * Get the MIME type for a file name from its extension
+ * @param {string} fileName - File name
+ * @returns {string} MIME type (defaults to application/octet-stream)
+ */
+export function getContentType(fileName) {
+  const fileExtension = fileName.split('.').pop().toLowerCase();
+  return CONTENT_TYPES[fileExtension] || 'application/octet-stream';
+}
+
 /**
  * Upload a file to Supabase Storage
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} fileName - Original file name
  * @param {string} userId - User ID for organizing files
- * @param {string} folder - Folder within bucket (e.g., 'uploads', 'templates', 'generated')
+ * @param {string} folder - Folder within bucket (e.g., 'uploads', 'templates', 'generated', 'assets', 'images')
+ * @param {string} contentType - Optional MIME type (default: derived from the file extension)
  * @returns {Promise<Object>} Upload result with file URL
  */
-export async function uploadFile(fileBuffer, fileName, userId, folder = 'uploads') {
+export async function uploadFile(fileBuffer, fileName, userId, folder = 'uploads', contentType = null) {
   try {
     const fileExtension = fileName.split('.').pop();
     const uniqueFileName = `${randomUUID()}.${fileExtension}`;
@@ -22,7 +47,7 @@ export async function uploadFile(fileBuffer, fileName, userId, folder = 'uploads
     const { data, error } = await supabaseAdmin.storage
       .from(STORAGE_BUCKET)
       .upload(filePath, fileBuffer, {
-        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        contentType: contentType || getContentType(fileName),
         upsert: false,
       });
 
@@ -0,0 +1,277 @@
+import PizZip from 'pizzip';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+
+/**
+ * Watermarks across the pages of generated documents
+ *
+ * A template configures them with structure_json.metadata.watermark:
+ *   { text: 'UNCONTROLLED WHEN PRINTED', draft: 'DRAFT', color: 'C0C0C0' }
+ *
+ * "text" is shown on every document. "draft" replaces it while the document or
+ * its template is a draft; it defaults to "DRAFT" and false turns it off.
+ * A plain string is shorthand for { text }.
+ */
+
+export const DEFAULT_DRAFT_WATERMARK = 'DRAFT';
+const DEFAULT_WATERMARK_COLOR = 'C0C0C0';
+const MAX_WATERMARK_LENGTH = 60;
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPES_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const VML_NAMESPACE = 'urn:schemas-microsoft-com:vml';
+const OFFICE_NAMESPACE = 'urn:schemas-microsoft-com:office:office';
+
+const HEADER_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/header';
+const HEADER_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml';
+
+// Word's WordArt text shape, used for its own watermarks
+const TEXT_SHAPE_TYPE = '<v:shapetype id="_x0000_t136" coordsize="21600,21600" o:spt="136" adj="10800" path="m@7,l@8,m@5,21600l@6,21600e">'
+  + '<v:formulas><v:f eqn="sum #0 0 10800"/><v:f eqn="prod #0 2 1"/><v:f eqn="sum 21600 0 @1"/><v:f eqn="sum 0 0 @2"/>'
+  + '<v:f eqn="sum 21600 0 @3"/><v:f eqn="if @0 @3 0"/><v:f eqn="if @0 21600 @1"/><v:f eqn="if @0 0 @2"/>'
+  + '<v:f eqn="if @0 @4 21600"/><v:f eqn="mid @5 @6"/><v:f eqn="mid @8 @5"/><v:f eqn="mid @7 @8"/>'
+  + '<v:f eqn="mid @6 @7"/><v:f eqn="sum @6 0 @5"/></v:formulas>'
+  + '<v:path textpathok="t" o:connecttype="custom" o:connectlocs="@9,0;@10,10800;@11,21600;@12,10800" o:connectangles="270,180,90,0"/>'
+  + '<v:textpath on="t" fitshape="t"/><v:handles><v:h position="#0,bottomRight" xrange="6629,14971"/></v:handles>'
+  + '<o:lock v:ext="edit" text="t" shapetype="t"/></v:shapetype>';
+
+// Width of the watermark in points, about the text width of an A4 or Letter page
+const WATERMARK_WIDTH = 468;
+
+/**
+ * Check a template's watermark settings
+ * @param {string|Object} watermark - structure_json.metadata.watermark
+ * @returns {string[]} Error messages, empty if the settings are valid or absent
+ */
+export function validateWatermark(watermark) {
+  if (watermark === undefined || watermark === null || watermark === false) {
+    return [];
+  }
+
+  const settings = typeof watermark === 'string' ? { text: watermark } : watermark;
+  if (typeof settings !== 'object') {
+    return ['Watermark must be text or an object'];
+  }
+
+  const errors = [];
+
+  for (const key of ['text', 'draft']) {
+    const value = settings[key];
+    if (value === undefined || value === null || value === false) continue;
+    if (typeof value !== 'string' || value.length > MAX_WATERMARK_LENGTH) {
+      errors.push(`Watermark ${key} must be text of at most ${MAX_WATERMARK_LENGTH} characters`);
+    }
+  }
+  if (settings.color !== undefined && !/^#?[0-9a-fA-F]{6}$/.test(settings.color)) {
+    errors.push('Watermark color must be a hex colour, e.g. C0C0C0');
+  }
+
+  return errors;
+}
+
+/**
+ * Decide which watermark, if any, a document gets
+ * @param {Object} template - Template row, whose status "draft" marks its documents as drafts
+ * @param {Object} document - Document details; status "draft" marks it as a draft
+ * @param {string|boolean} [override] - Watermark text for this document, or false for none
+ * @returns {Object|null} { text, color }, or null for no watermark
+ */
+export function resolveWatermark(template, document = {}, override) {
+  const configured = template?.structure_json?.metadata?.watermark;
+  const settings = typeof configured === 'string' ? { text: configured } : (configured || {});
+  const color = (settings.color || DEFAULT_WATERMARK_COLOR).replace(/^#/, '').toUpperCase();
+
+  if (override === false) {
+    return null;
+  }
+  if (typeof override === 'string' && override.trim()) {
+    return { text: override.trim(), color };
+  }
+
+  const isDraft = document?.status === 'draft' || template?.status === 'draft';
+  const draftText = settings.draft === undefined ? DEFAULT_DRAFT_WATERMARK : settings.draft;
+  const text = isDraft && draftText ? draftText : settings.text;
+
+  return text ? { text, color } : null;
+}
+
+/**
+ * Add a watermark to every page of a Word document
+ * The watermark sits in the page headers, as Word's own watermarks do; sections
+ * without a header get one holding just the watermark
+ * @param {Buffer} docxBuffer - Word document
+ * @param {Object} watermark - { text, color } from resolveWatermark
+ * @returns {Buffer} Watermarked Word document
+ */
+export function applyWatermark(docxBuffer, watermark) {
+  const zip = new PizZip(docxBuffer);
+  const documentXml = readXml(zip, 'word/document.xml');
+  const relationships = readXml(zip, 'word/_rels/document.xml.rels');
+  const evenAndOddHeaders = hasEvenAndOddHeaders(readXml(zip, 'word/settings.xml'));
+
+  const headerTargets = new Map(
+    Array.from(relationships.getElementsByTagNameNS(PACKAGE_RELATIONSHIP_NAMESPACE, 'Relationship'))
+      .filter((relationship) => relationship.getAttribute('Type') === HEADER_RELATIONSHIP_TYPE)
+      .map((relationship) => [relationship.getAttribute('Id'), `word/${relationship.getAttribute('Target').replace(/^\/?word\//, '')}`])
+  );
+
+  const headerParts = new Set();
+  const inheritedTypes = new Set();
+  let addedHeaderId = null;
+
+  // Sections come in document order; a section without a header of some type
+  // inherits it from the section before
+  for (const sectionProperties of Array.from(documentXml.getElementsByTagNameNS(WORD_NAMESPACE, 'sectPr'))) {
+    const references = getChildElements(sectionProperties, 'headerReference');
+    references.forEach((reference) => inheritedTypes.add(reference.getAttributeNS(WORD_NAMESPACE, 'type')));
+
+    // Pages with no header at all get a header holding just the watermark
+    const neededTypes = ['default'];
+    if (getChildElements(sectionProperties, 'titlePg').length > 0) {
+      neededTypes.push('first');
+    }
+    if (evenAndOddHeaders) {
+      neededTypes.push('even');
+    }
+
+    for (const type of neededTypes.filter((neededType) => !inheritedTypes.has(neededType))) {
+      if (!addedHeaderId) {
+        addedHeaderId = addHeaderPart(zip, relationships, headerTargets);
+      }
+      const reference = documentXml.createElementNS(WORD_NAMESPACE, 'w:headerReference');
+      reference.setAttributeNS(WORD_NAMESPACE, 'w:type', type);
+      reference.setAttributeNS(RELATIONSHIP_NAMESPACE, 'r:id', addedHeaderId);
+      sectionProperties.insertBefore(reference, sectionProperties.firstChild);
+      references.push(reference);
+      inheritedTypes.add(type);
+    }
+
+    references.forEach((reference) => {
+      const target = headerTargets.get(reference.getAttributeNS(RELATIONSHIP_NAMESPACE, 'id'));
+      if (target) headerParts.add(target);
+    });
+  }
+
+  let shapeIndex = 0;
+  for (const partName of headerParts) {
+    const header = readXml(zip, partName);
+    if (!header) continue;
+
+    shapeIndex += 1;
+    const run = header.importNode(buildWatermarkRun(watermark, shapeIndex), true);
+    const paragraph = header.getElementsByTagNameNS(WORD_NAMESPACE, 'p')[0];
+
+    if (paragraph) {
+      paragraph.appendChild(run);
+    } else {
+      const newParagraph = header.createElementNS(WORD_NAMESPACE, 'w:p');
+      newParagraph.appendChild(run);
+      header.documentElement.appendChild(newParagraph);
+    }
+
+    writeXml(zip, partName, header);
+  }
+
+  writeXml(zip, 'word/document.xml', documentXml);
+  writeXml(zip, 'word/_rels/document.xml.rels', relationships);
+
+  return zip.generate({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+  });
+}
+
+/**
+ * Check whether a document's settings give even pages their own headers
+ */
+function hasEvenAndOddHeaders(settings) {
+  const setting = settings?.getElementsByTagNameNS(WORD_NAMESPACE, 'evenAndOddHeaders')[0];
+  return Boolean(setting) && !['0', 'false', 'off'].includes(setting.getAttributeNS(WORD_NAMESPACE, 'val'));
+}
+
+/**
+ * Add an empty header part to the package
+ * @returns {string} Relationship id of the new header
+ */
+function addHeaderPart(zip, relationships, headerTargets) {
+  let number = 1;
+  while (zip.file(`word/header${number}.xml`)) {
+    number += 1;
+  }
+  const partName = `word/header${number}.xml`;
+
+  zip.file(partName, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:hdr xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}"><w:p/></w:hdr>`);
+
+  const ids = new Set(headerTargets.keys());
+  Array.from(relationships.getElementsByTagNameNS(PACKAGE_RELATIONSHIP_NAMESPACE, 'Relationship'))
+    .forEach((relationship) => ids.add(relationship.getAttribute('Id')));
+  let idNumber = ids.size + 1;
+  while (ids.has(`rId${idNumber}`)) {
+    idNumber += 1;
+  }
+  const id = `rId${idNumber}`;
+
+  const relationship = relationships.createElementNS(PACKAGE_RELATIONSHIP_NAMESPACE, 'Relationship');
+  relationship.setAttribute('Id', id);
+  relationship.setAttribute('Type', HEADER_RELATIONSHIP_TYPE);
+  relationship.setAttribute('Target', `header${number}.xml`);
+  relationships.documentElement.appendChild(relationship);
+  headerTargets.set(id, partName);
+
+  const contentTypes = readXml(zip, '[Content_Types].xml');
+  const override = contentTypes.createElementNS(CONTENT_TYPES_NAMESPACE, 'Override');
+  override.setAttribute('PartName', `/${partName}`);
+  override.setAttribute('ContentType', HEADER_CONTENT_TYPE);
+  contentTypes.documentElement.appendChild(override);
+  writeXml(zip, '[Content_Types].xml', contentTypes);
+
+  return id;
+}
+
+/**
+ * Build the run holding a watermark shape, centred and rotated across the page
+ */
+function buildWatermarkRun(watermark, index) {
+  // Short text gets a taller shape so its letters keep their proportions
+  const height = Math.round(WATERMARK_WIDTH / Math.max(String(watermark.text).length, 4) * 1.6);
+
+  const xml = `<w:r xmlns:w="${WORD_NAMESPACE}" xmlns:v="${VML_NAMESPACE}" xmlns:o="${OFFICE_NAMESPACE}">`
+    + '<w:rPr><w:noProof/></w:rPr><w:pict>'
+    + TEXT_SHAPE_TYPE
+    + `<v:shape id="PowerPlusWaterMarkObject${index}" o:spid="_x0000_s${2048 + index}" type="#_x0000_t136"`
+    + ` style="position:absolute;margin-left:0;margin-top:0;width:${WATERMARK_WIDTH}pt;height:${height}pt;rotation:315;z-index:-251657216;`
+    + 'mso-position-horizontal:center;mso-position-horizontal-relative:margin;mso-position-vertical:center;mso-position-vertical-relative:margin"'
+    + ` o:allowincell="f" fillcolor="#${watermark.color}" stroked="f">`
+    + '<v:fill opacity=".5"/>'
+    + `<v:textpath style="font-family:&quot;Calibri&quot;;font-size:1pt" string="${escapeXml(watermark.text)}"/>`
+    + '</v:shape></w:pict></w:r>';
+
+  return new DOMParser().parseFromString(xml, 'text/xml').documentElement;
+}
+
+function readXml(zip, partName) {
+  const file = zip.file(partName);
+  return file ? new DOMParser().parseFromString(file.asText(), 'text/xml') : null;
+}
+
+function writeXml(zip, partName, xml) {
+  zip.file(partName, new XMLSerializer().serializeToString(xml));
+}
+
+/**
+ * Get the direct children of an element with the given WordprocessingML name
+ */
+function getChildElements(element, localName) {
+  return Array.from(element.childNodes).filter(
+    (child) => child.namespaceURI === WORD_NAMESPACE && child.localName === localName
+  );
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,322 @@
+import { Document, Packer, Paragraph, TextRun, ImageRun, Table, TableOfContents, TableCell, TableRow, Header, Footer, PageBreak, PageNumber, PageOrientation, SectionType, HeadingLevel, AlignmentType, LevelFormat, WidthType, BorderStyle, TableLayoutType, convertMillimetersToTwip } from 'docx';
+import { MAX_LIST_LEVEL } from '../renderTree.js';
+import { applyWatermark } from '../watermarkService.js';
+import { getCellColumns } from './tableGrid.js';
+
+/**
+ * Serialises a render tree to a Word document with the docx library
+ */
+
+const PAGE_NUMBER_FIELDS = {
+  PAGE: PageNumber.CURRENT,
+  NUMPAGES: PageNumber.TOTAL_PAGES,
+};
+
+const NUMBERED_LIST_REFERENCE = 'numbered-list';
+
+const NUMBERED_LIST_FORMATS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
+
+// Multi-level numbering definition shared by every ordered list
+const NUMBERING_CONFIG = {
+  reference: NUMBERED_LIST_REFERENCE,
+  levels: Array.from({ length: MAX_LIST_LEVEL + 1 }, (_, level) => ({
+    level,
+    format: NUMBERED_LIST_FORMATS[level % NUMBERED_LIST_FORMATS.length],
+    text: `%${level + 1}.`,
+    alignment: AlignmentType.START,
+    style: {
+      paragraph: {
+        indent: { left: 720 * (level + 1), hanging: 360 },
+      },
+    },
+  })),
+};
+
+const SECTION_TYPES = {
+  nextPage: SectionType.NEXT_PAGE,
+  continuous: SectionType.CONTINUOUS,
+  evenPage: SectionType.EVEN_PAGE,
+  oddPage: SectionType.ODD_PAGE,
+};
+
+const HEADING_SPACING = {
+  section: { before: 400, after: 200 },
+  content: { before: 240, after: 120 },
+};
+
+/**
+ * Write a render tree as a .docx file
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {Promise<Buffer>} Word document buffer
+ */
+export async function writeDocx(tree) {
+  // Each ordered list gets its own numbering instance so numbering restarts at 1;
+  // tables with column widths are laid out against the section's text width
+  const context = { listInstance: 0, contentWidth: getContentWidth(tree.sections[0]?.pageSetup) };
+
+  const docSections = tree.sections.map((section) => {
+    context.contentWidth = getContentWidth(section.pageSetup);
+    return {
+      properties: getSectionProperties(section),
+      children: section.children.flatMap((block) => writeBlock(block, context)),
+    };
+  });
+
+  // Headers and footers follow the first section's width
+  context.contentWidth = getContentWidth(tree.sections[0]?.pageSetup);
+
+  if (docSections.length === 0) {
+    docSections.push({
+      properties: {},
+      children: [new Paragraph('Empty document')],
+    });
+  }
+
+  // Later sections inherit headers and footers from the first one
+  docSections[0] = {
+    ...docSections[0],
+    headers: mapVariants(tree.headers, (blocks) => new Header({ children: blocks.flatMap((block) => writeBlock(block, context)) })),
+    footers: mapVariants(tree.footers, (blocks) => new Footer({ children: blocks.flatMap((block) => writeBlock(block, context)) })),
+    properties: { ...docSections[0].properties, titlePage: tree.titlePage },
+  };
+
+  // Word fills in a table of contents field when it updates the document's fields on opening
+  const hasTableOfContents = tree.sections.some((section) => section.children.some((block) => block.type === 'toc'));
+
+  const doc = new Document({
+    features: hasTableOfContents ? { updateFields: true } : undefined,
+    evenAndOddHeaderAndFooters: tree.evenAndOddPages,
+    numbering: { config: [NUMBERING_CONFIG] },
+    sections: docSections,
+  });
+
+  const buffer = await Packer.toBuffer(doc);
+  return tree.watermark ? applyWatermark(buffer, tree.watermark) : buffer;
+}
+
+/**
+ * Apply a function to each header/footer variant
+ */
+function mapVariants(variants = {}, build) {
+  return Object.fromEntries(Object.entries(variants).map(([variant, blocks]) => [variant, build(blocks)]));
+}
+
+/**
+ * Build docx section properties from a tree section's page setup and break type
+ */
+function getSectionProperties({ pageSetup, breakType }) {
+  const margin = Object.fromEntries(
+    Object.entries(pageSetup.margins).map(([side, value]) => [side, convertMillimetersToTwip(value)])
+  );
+
+  return {
+    type: SECTION_TYPES[breakType],
+    page: {
+      size: {
+        width: convertMillimetersToTwip(pageSetup.width),
+        height: convertMillimetersToTwip(pageSetup.height),
+        orientation: pageSetup.orientation === 'landscape' ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT,
+      },
+      margin,
+    },
+  };
+}
+
+/**
+ * Width available for text in a section, in twips (A4 with default margins when unknown)
+ */
+function getContentWidth(pageSetup) {
+  if (!pageSetup) {
+    return convertMillimetersToTwip(210 - 2 * 25.4);
+  }
+
+  const pageWidth = pageSetup.orientation === 'landscape' ? pageSetup.height : pageSetup.width;
+  return convertMillimetersToTwip(pageWidth - pageSetup.margins.left - pageSetup.margins.right);
+}
+
+/**
+ * Write a single block as docx elements
+ */
+function writeBlock(block, context) {
+  switch (block.type) {
+    case 'heading':
+      return [
+        new Paragraph({
+          children: writeRuns(block.runs),
+          heading: HeadingLevel[`HEADING_${block.level}`],
+          spacing: block.section ? HEADING_SPACING.section : HEADING_SPACING.content,
+          keepNext: block.keepWithNext || undefined,
+          keepLines: block.keepTogether || undefined,
+        }),
+      ];
+
+    case 'paragraph':
+      return [
+        new Paragraph({
+          children: writeRuns(block.runs),
+          alignment: getAlignment(block.alignment),
+          spacing: {
+            before: 120,
+            after: 120,
+          },
+          keepNext: block.keepWithNext || undefined,
+          keepLines: block.keepTogether || undefined,
+        }),
+      ];
+
+    case 'list': {
+      const instance = block.ordered ? ++context.listInstance : null;
+
+      return block.items.map(
+        (entry) =>
+          new Paragraph({
+            children: writeRuns(entry.runs),
+            ...(instance
+              ? { numbering: { reference: NUMBERED_LIST_REFERENCE, level: entry.level, instance } }
+              : { bullet: { level: entry.level } }),
+          })
+      );
+    }
+
+    case 'table':
+      return [writeTable(block, context)];
+
+    case 'pageBreak':
+      return [new Paragraph({ children: [new PageBreak()] })];
+
+    case 'toc':
+      return [
+        ...(block.title
+          ? [new Paragraph({ children: [new TextRun({ text: block.title, bold: true, size: 28 })], spacing: HEADING_SPACING.content, keepNext: true })]
+          : []),
+        new TableOfContents(block.title || 'Table of Contents', {
+          hyperlink: true,
+          headingStyleRange: `1-${block.levels}`,
+        }),
+      ];
+
+    case 'image':
+      return [
+        new Paragraph({
+          alignment: getAlignment(block.alignment),
+          keepNext: block.keepWithNext || undefined,
+          children: [writeImage(block)],
+        }),
+      ];
+
+    default:
+      console.warn(`Unknown block type: ${block.type}`);
+      return [];
+  }
+}
+
+/**
+ * Write formatted runs as text runs and page number fields
+ * Line breaks in the text (e.g. a textarea value in a table cell) become breaks
+ */
+function writeRuns(runs) {
+  return runs.flatMap((run) => {
+    // Only set formatting that is switched on, so paragraph styles still apply
+    const formatting = {
+      bold: run.bold || undefined,
+      italics: run.italics || undefined,
+      underline: run.underline ? {} : undefined,
+      superScript: run.superScript || undefined,
+      subScript: run.subScript || undefined,
+      color: run.color || undefined,
+    };
+
+    if (run.field) {
+      return new TextRun({ ...formatting, children: [PAGE_NUMBER_FIELDS[run.field]] });
+    }
+
+    return String(run.text)
+      .split(/\r?\n/)
+      .map((text, index) => new TextRun({ ...formatting, text, break: index > 0 ? 1 : undefined }));
+  });
+}
+
+/**
+ * Write a table block
+ *
+ * Word has no "keep table together" setting, so keepTogether stops rows splitting
+ * and keeps every row with the next; keepWithNext also keeps the last row with
+ * whatever follows the table. Header rows repeat on each page unless repeatHeader
+ * is off.
+ */
+function writeTable(block, context) {
+  const rows = [
+    ...block.headerRows.map((cells) => ({ cells, header: true })),
+    ...block.rows.map((cells) => ({ cells, header: false })),
+  ];
+
+  // Fixed column widths in twips, and each cell's share of them
+  const gridWidths = block.columnWidths?.map((percent) => Math.round((context.contentWidth * percent) / 100));
+  const cellColumns = getCellColumns(rows.map(({ cells }) => cells));
+
+  return new Table({
+    rows: rows.map(({ cells, header }, rowIndex) => {
+      const isLastRow = rowIndex === rows.length - 1;
+      const keepNext = (block.keepTogether && !isLastRow) || block.keepWithNext;
+
+      return new TableRow({
+        tableHeader: (header && block.repeatHeader) || undefined,
+        cantSplit: block.keepTogether || undefined,
+        children: cells.map((cell, cellIndex) => {
+          const shading = header ? block.headerShading : cell.shading;
+          const { column, span } = cellColumns[rowIndex][cellIndex];
+          const width = gridWidths?.slice(column, column + span).reduce((sum, columnWidth) => sum + columnWidth, 0);
+
+          const children = cell.image ? [writeImage(cell.image), ...writeRuns(cell.runs)] : writeRuns(cell.runs);
+
+          return new TableCell({
+            children: [new Paragraph({ children, keepNext: keepNext || undefined })],
+            shading: shading ? { fill: shading } : undefined,
+            columnSpan: cell.colSpan,
+            rowSpan: cell.rowSpan,
+            width: width ? { size: width, type: WidthType.DXA } : undefined,
+          });
+        }),
+      });
+    }),
+    width: {
+      size: 100,
+      type: WidthType.PERCENTAGE,
+    },
+    columnWidths: gridWidths,
+    layout: gridWidths ? TableLayoutType.FIXED : undefined,
+    borders: block.borders ? {
+      top: { style: BorderStyle.SINGLE, size: 1 },
+      bottom: { style: BorderStyle.SINGLE, size: 1 },
+      left: { style: BorderStyle.SINGLE, size: 1 },
+      right: { style: BorderStyle.SINGLE, size: 1 },
+      insideHorizontal: { style: BorderStyle.SINGLE, size: 1 },
+      insideVertical: { style: BorderStyle.SINGLE, size: 1 },
+    } : undefined,
+  });
+}
+
+/**
+ * Write an image at its scaled size
+ */
+function writeImage({ image, width, height }) {
+  return new ImageRun({
+    type: image.type,
+    data: image.data,
+    transformation: { width, height },
+  });
+}
+
+/**
+ * Get alignment type from string
+ */
+function getAlignment(alignment) {
+  const alignmentMap = {
+    left: AlignmentType.LEFT,
+    center: AlignmentType.CENTER,
+    right: AlignmentType.RIGHT,
+    justified: AlignmentType.JUSTIFIED,
+  };
+
+  return alignmentMap[alignment?.toLowerCase()] || AlignmentType.LEFT;
+}
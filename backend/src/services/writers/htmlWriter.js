@@ -0,0 +1,322 @@
+/**
+ * Serialises a render tree to an HTML preview or a standalone HTML page
+ */
+
+// Page used when a document has no sections, in millimetres
+const DEFAULT_PAGE = { width: 210, height: 297, margins: { top: 25.4, right: 25.4, bottom: 25.4, left: 25.4 } };
+
+/**
+ * Write a render tree as HTML
+ * Headers and footers are shown as they appear on the first page
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {string} HTML markup
+ */
+export function writeHtml(tree) {
+  let html = tree.watermark ? '<div class="document-preview" style="position: relative;">' : '<div class="document-preview">';
+
+  html += writeWatermark(tree.watermark);
+
+  html += writeHeaderFooter('header', tree.headers.first || tree.headers.default);
+
+  for (const section of tree.sections) {
+    // Sections started by a page-starting section break begin a new printed page
+    html += section.breakType && section.breakType !== 'continuous' ? '<section style="break-before: page;">' : '<section>';
+    html += section.children.map(writeBlock).join('');
+    html += '</section>';
+  }
+
+  html += writeHeaderFooter('footer', tree.footers.first || tree.footers.default);
+
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Write a render tree as a standalone HTML page, styled to print on the
+ * first section's page size and margins
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {string} HTML document
+ */
+export function writeHtmlPage(tree) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(tree.title || 'Document')}</title>`,
+    `<style>${getPageStyles(tree.sections[0]?.pageSetup || DEFAULT_PAGE)}</style>`,
+    '</head>',
+    `<body>${writeHtml(tree)}</body>`,
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Stylesheet for a standalone page: a sheet of paper on screen, the page's
+ * size and margins when printed
+ */
+function getPageStyles(pageSetup) {
+  const landscape = pageSetup.orientation === 'landscape';
+  const width = landscape ? pageSetup.height : pageSetup.width;
+  const height = landscape ? pageSetup.width : pageSetup.height;
+  const { top, right, bottom, left } = pageSetup.margins;
+
+  return `
+@page { size: ${width}mm ${height}mm; margin: ${top}mm ${right}mm ${bottom}mm ${left}mm; }
+body { margin: 0; padding: 24px 0; background: #f0f0f0; color: #000; font-family: Calibri, Carlito, Arial, sans-serif; font-size: 11pt; line-height: 1.3; }
+.document-preview { box-sizing: border-box; width: ${width}mm; min-height: ${height}mm; margin: 0 auto; padding: ${top}mm ${right}mm ${bottom}mm ${left}mm; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); overflow: hidden; }
+.document-header { margin-bottom: 12pt; }
+.document-footer { margin-top: 12pt; }
+h1 { font-size: 20pt; } h2 { font-size: 16pt; } h3 { font-size: 13pt; } h4, h5, h6 { font-size: 12pt; }
+p { margin: 6pt 0; }
+table { margin: 6pt 0; }
+th { text-align: left; }
+tr { break-inside: avoid; }
+img { max-width: 100%; height: auto; }
+@media print {
+  body { padding: 0; background: none; }
+  .document-preview { width: auto; min-height: 0; padding: 0; box-shadow: none; overflow: visible; }
+}
+`;
+}
+
+/**
+ * Write a watermark across the preview, behind its content
+ */
+function writeWatermark(watermark) {
+  if (!watermark) {
+    return '';
+  }
+
+  const style = writeStyle([
+    'position: absolute',
+    'top: 40%',
+    'left: 50%',
+    'transform: translate(-50%, -50%) rotate(-45deg)',
+    'font-size: 72px',
+    'font-weight: bold',
+    `color: #${watermark.color}`,
+    'opacity: 0.5',
+    'white-space: nowrap',
+    'pointer-events: none',
+  ]);
+  return `<div class="document-watermark"${style}>${escapeHtml(watermark.text)}</div>`;
+}
+
+/**
+ * Write header or footer blocks
+ */
+function writeHeaderFooter(type, blocks) {
+  if (!blocks) {
+    return '';
+  }
+
+  return `<${type} class="document-${type}">${blocks.map(writeBlock).join('')}</${type}>`;
+}
+
+/**
+ * Write a single block as HTML
+ */
+function writeBlock(block) {
+  switch (block.type) {
+    case 'heading': {
+      const id = block.anchor ? ` id="${block.anchor}"` : '';
+      return `<h${block.level}${id}${writeStyle(getKeepStyles(block))}>${writeRuns(block.runs)}</h${block.level}>`;
+    }
+
+    case 'toc':
+      return writeTableOfContents(block);
+
+    case 'paragraph': {
+      const textAlign = getTextAlign(block.alignment);
+      const alignment = textAlign ? [`text-align: ${textAlign}`] : [];
+      return `<p${writeStyle([...alignment, ...getKeepStyles(block)])}>${writeRuns(block.runs)}</p>`;
+    }
+
+    case 'list':
+      return writeList(block);
+
+    case 'table':
+      return writeTable(block);
+
+    case 'pageBreak':
+      return '<div class="page-break" style="break-after: page;"></div>';
+
+    case 'image': {
+      const alignment = ['left', 'center', 'right'].includes(block.alignment) ? block.alignment : 'left';
+      return `<p style="text-align: ${alignment};">${writeImage(block, block.alt)}</p>`;
+    }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write a table of contents as links to the headings, indented by level
+ */
+function writeTableOfContents(block) {
+  const title = block.title ? `<p style="font-weight: bold; font-size: 1.2em;">${escapeHtml(block.title)}</p>` : '';
+  const entries = block.entries.map(
+    (entry) => `<p style="margin: 2px 0 2px ${(entry.level - 1) * 1.5}em;"><a href="#${entry.anchor}">${escapeHtml(entry.text)}</a></p>`
+  );
+
+  return `<nav class="document-toc">${title}${entries.join('')}</nav>`;
+}
+
+/**
+ * Write a table block
+ * Header rows go in <thead>, which browsers repeat on each printed page
+ */
+function writeTable(block) {
+  const layout = block.columnWidths ? ['table-layout: fixed'] : [];
+  const style = writeStyle(['border-collapse: collapse', 'width: 100%', ...layout, ...getKeepStyles(block)]);
+  let html = block.borders ? `<table border="1"${style}>` : `<table${style}>`;
+
+  if (block.columnWidths) {
+    html += `<colgroup>${block.columnWidths.map((width) => `<col style="width: ${Number(width.toFixed(2))}%;">`).join('')}</colgroup>`;
+  }
+
+  const headerRows = block.headerRows.map((cells) => `<tr>${cells.map((cell) => writeTableCell('th', cell, block.headerShading)).join('')}</tr>`);
+  const bodyRows = block.rows.map((cells) => `<tr>${cells.map((cell) => writeTableCell('td', cell, cell.shading)).join('')}</tr>`);
+
+  if (block.repeatHeader) {
+    html += headerRows.length > 0 ? `<thead>${headerRows.join('')}</thead>` : '';
+    html += `<tbody>${bodyRows.join('')}</tbody>`;
+  } else {
+    html += `<tbody>${[...headerRows, ...bodyRows].join('')}</tbody>`;
+  }
+
+  html += '</table>';
+  return html;
+}
+
+/**
+ * Write a table cell with its spans and background colour
+ */
+function writeTableCell(tag, cell, shading) {
+  const spans = [
+    cell.colSpan ? ` colspan="${cell.colSpan}"` : '',
+    cell.rowSpan ? ` rowspan="${cell.rowSpan}"` : '',
+  ].join('');
+  const styles = ['padding: 8px', ...(shading ? [`background-color: #${shading}`] : [])];
+
+  const content = (cell.image ? writeImage(cell.image, 'Signature') : '') + writeRuns(cell.runs);
+
+  return `<${tag}${spans}${writeStyle(styles)}>${content || '&nbsp;'}</${tag}>`;
+}
+
+/**
+ * Write an image inline at its scaled size
+ */
+function writeImage({ image, width, height }, alt = '') {
+  return `<img src="data:${image.contentType};base64,${image.data.toString('base64')}" width="${width}" height="${height}" alt="${escapeHtml(alt)}">`;
+}
+
+/**
+ * Write a list block as nested <ul>/<ol> elements
+ */
+function writeList(block) {
+  const tag = block.ordered ? 'ol' : 'ul';
+  let html = `<${tag}>`;
+  let depth = 0;
+  let itemOpen = false;
+
+  for (const entry of block.items) {
+    // A level can only go one deeper than the open item it nests under
+    const level = Math.min(entry.level, itemOpen ? depth + 1 : depth);
+
+    if (level > depth) {
+      html += `<${tag}>`;
+      depth = level;
+    } else {
+      if (itemOpen) {
+        html += '</li>';
+      }
+      while (depth > level) {
+        html += `</${tag}></li>`;
+        depth--;
+      }
+    }
+
+    html += `<li>${writeRuns(entry.runs)}`;
+    itemOpen = true;
+  }
+
+  html += '</li>';
+  while (depth > 0) {
+    html += `</${tag}></li>`;
+    depth--;
+  }
+  html += `</${tag}>`;
+
+  return html;
+}
+
+/**
+ * CSS print rules matching a block's keepWithNext / keepTogether options
+ */
+function getKeepStyles(block) {
+  const styles = [];
+  if (block.keepWithNext) styles.push('break-after: avoid');
+  if (block.keepTogether) styles.push('break-inside: avoid');
+  return styles;
+}
+
+/**
+ * Map a paragraph alignment to its CSS text-align value (null for left)
+ */
+function getTextAlign(alignment) {
+  const alignmentMap = {
+    center: 'center',
+    right: 'right',
+    justified: 'justify',
+  };
+
+  return alignmentMap[alignment?.toLowerCase()] || null;
+}
+
+/**
+ * Write a style attribute from a list of CSS declarations
+ */
+function writeStyle(declarations) {
+  return declarations.length > 0 ? ` style="${declarations.join('; ')};"` : '';
+}
+
+/**
+ * Write formatted runs as escaped HTML, showing page number fields as placeholders
+ */
+function writeRuns(runs) {
+  return runs
+    .map((run) => {
+      let html = run.field
+        ? `<span class="page-field" data-field="${run.field}">#</span>`
+        : escapeHtml(run.text).replace(/\r?\n/g, '<br>');
+
+      if (run.bold) html = `<strong>${html}</strong>`;
+      if (run.italics) html = `<em>${html}</em>`;
+      if (run.underline) html = `<u>${html}</u>`;
+      if (run.superScript) html = `<sup>${html}</sup>`;
+      if (run.subScript) html = `<sub>${html}</sub>`;
+      if (run.color) html = `<span style="color: #${run.color};">${html}</span>`;
+
+      return html;
+    })
+    .join('');
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;',
+  };
+  return String(text).replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,41 @@
+import { writeDocx } from './docxWriter.js';
+import { writeHtmlPage } from './htmlWriter.js';
+import { writeMarkdown } from './markdownWriter.js';
+import { writeOdt } from './odtWriter.js';
+import { writePdf } from './pdfWriter.js';
+import { writeText } from './textWriter.js';
+
+/**
+ * Render tree writers by output format, keyed by file extension
+ * Each writer takes a render tree and returns the serialised document
+ * (or a promise of it) as a Buffer, or as a string for text formats
+ */
+const WRITERS = {
+  docx: writeDocx,
+  pdf: writePdf,
+  html: writeHtmlPage,
+  md: writeMarkdown,
+  odt: writeOdt,
+  txt: writeText,
+};
+
+/**
+ * Get the writer for an output format
+ * @param {string} format - Output format, e.g. "docx" or "html"
+ * @returns {Function} Writer taking a render tree
+ */
+export function getWriter(format) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+  return writer;
+}
+
+/**
+ * List the output formats that have a writer
+ * @returns {string[]} Format names
+ */
+export function getSupportedFormats() {
+  return Object.keys(WRITERS);
+}
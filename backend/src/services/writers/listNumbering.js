@@ -0,0 +1,43 @@
+/**
+ * List markers shared by the writers that number lists themselves
+ */
+
+/**
+ * Bullet characters by list level, repeating after the last
+ */
+export const BULLETS = ['•', 'o', '–'];
+
+/**
+ * Number a list item like the Word numbering levels: 1, a, i, then again
+ */
+export function formatListNumber(number, level) {
+  switch (level % 3) {
+    case 1:
+      return toLetters(number);
+    case 2:
+      return toRoman(number);
+    default:
+      return String(number);
+  }
+}
+
+function toLetters(number) {
+  let letters = '';
+  for (let value = number; value > 0; value = Math.floor((value - 1) / 26)) {
+    letters = String.fromCharCode(97 + ((value - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function toRoman(number) {
+  const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let remaining = number;
+  let roman = '';
+  for (const [value, numeral] of numerals) {
+    while (remaining >= value) {
+      roman += numeral;
+      remaining -= value;
+    }
+  }
+  return roman;
+}
@@ -0,0 +1,213 @@
+import { getCellColumns, repeatRowSpans } from './tableGrid.js';
+
+/**
+ * Serialises a render tree to Markdown, with GitHub-flavoured tables
+ *
+ * Markdown has no pages: headers come first and footers last, page breaks
+ * become horizontal rules and page number fields are left out. Formatting
+ * Markdown cannot express (underline, colour, alignment, merged cells) is dropped;
+ * a cell merged down several rows is repeated in each of them.
+ */
+
+/**
+ * Write a render tree as Markdown
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {string} Markdown text
+ */
+export function writeMarkdown(tree) {
+  const blocks = [];
+
+  if (tree.watermark) {
+    blocks.push(`**${escapeMarkdown(tree.watermark.text)}**`);
+  }
+
+  const header = writeBlocks(tree.headers.first || tree.headers.default || []);
+  if (header.length > 0) {
+    blocks.push(...header, '---');
+  }
+
+  tree.sections.forEach((section, index) => {
+    // Sections started by a page-starting section break begin a new page
+    if (index > 0 && section.breakType !== 'continuous') {
+      blocks.push('---');
+    }
+    blocks.push(...writeBlocks(section.children));
+  });
+
+  const footer = writeBlocks(tree.footers.first || tree.footers.default || []);
+  if (footer.length > 0) {
+    blocks.push('---', ...footer);
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Write blocks, leaving out any that have no text
+ */
+function writeBlocks(blocks) {
+  return blocks.map(writeBlock).filter(Boolean);
+}
+
+/**
+ * Write a single block as Markdown
+ */
+function writeBlock(block) {
+  switch (block.type) {
+    case 'heading': {
+      const text = writeRuns(block.runs).replace(/\\\n/g, ' ');
+      return text ? `${'#'.repeat(Math.min(block.level, 6))} ${text}` : '';
+    }
+
+    case 'paragraph':
+      return writeRuns(block.runs);
+
+    case 'list':
+      return writeList(block);
+
+    case 'table':
+      return writeTable(block);
+
+    case 'pageBreak':
+      return '---';
+
+    case 'toc':
+      return writeTableOfContents(block);
+
+    case 'image':
+      return writeImage(block, block.alt);
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write a list block, indenting nested items under their parent's text
+ */
+function writeList(block) {
+  const lines = [];
+  const indents = [0];
+  const counters = [];
+  let depth = -1;
+
+  for (const entry of block.items) {
+    // A level can only go one deeper than the item it nests under
+    const level = Math.min(entry.level, depth + 1);
+    depth = level;
+
+    counters[level] = (counters[level] || 0) + 1;
+    counters.length = level + 1;
+
+    const marker = block.ordered ? `${counters[level]}.` : '-';
+    indents[level + 1] = indents[level] + marker.length + 1;
+
+    const text = writeRuns(entry.runs).replace(/\n/g, `\n${' '.repeat(indents[level + 1])}`);
+    lines.push(`${' '.repeat(indents[level])}${marker} ${text}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write a table of contents as a bulleted list, nested by heading level
+ */
+function writeTableOfContents(block) {
+  const title = block.title ? `**${escapeMarkdown(block.title)}**` : '';
+  if (block.entries.length === 0) {
+    return title;
+  }
+
+  const topLevel = Math.min(...block.entries.map((entry) => entry.level));
+  const entries = block.entries.map((entry) => `${'  '.repeat(entry.level - topLevel)}- ${escapeMarkdown(entry.text)}`);
+
+  return [title, entries.join('\n')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Write a table block as a pipe table
+ * The first header row becomes the table's header; cells merged down several
+ * rows are repeated in each, and columns covered by merged columns are left empty
+ */
+function writeTable(block) {
+  const rows = repeatRowSpans([...block.headerRows, ...block.rows]);
+  const cellColumns = getCellColumns(rows);
+  const columnCount = Math.max(
+    block.columnWidths?.length || 0,
+    ...cellColumns.flat().map(({ column, span }) => column + span)
+  );
+
+  const grid = rows.map((cells, rowIndex) => {
+    const row = new Array(columnCount).fill('');
+    cells.forEach((cell, cellIndex) => {
+      const content = (cell.image ? writeImage(cell.image, 'Signature') : '') + writeRuns(cell.runs);
+      row[cellColumns[rowIndex][cellIndex].column] = content.replace(/\\?\n/g, '<br>').replace(/\|/g, '\\|');
+    });
+    return row;
+  });
+
+  const header = block.headerRows.length > 0 ? grid.shift() : new Array(columnCount).fill('');
+  const writeRow = (cells) => `| ${cells.join(' | ')} |`;
+
+  return [writeRow(header), writeRow(new Array(columnCount).fill('---')), ...grid.map(writeRow)].join('\n');
+}
+
+/**
+ * Write an image as a data URL, so the Markdown file stands alone
+ */
+function writeImage({ image }, alt = '') {
+  return `![${escapeMarkdown(alt || '')}](data:${image.contentType};base64,${image.data.toString('base64')})`;
+}
+
+/**
+ * Write formatted runs as Markdown, joining runs that share formatting so
+ * emphasis markers pair up
+ */
+function writeRuns(runs) {
+  const merged = [];
+
+  for (const run of runs) {
+    // Page numbers mean nothing without pages
+    if (run.field) continue;
+
+    const previous = merged[merged.length - 1];
+    if (previous && getFormatKey(previous) === getFormatKey(run)) {
+      previous.text += run.text;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+
+  return merged.map(writeRun).join('').replace(/\n/g, '\\\n');
+}
+
+function getFormatKey(run) {
+  return [run.bold, run.italics, run.superScript, run.subScript].map(Boolean).join();
+}
+
+/**
+ * Write one run, keeping surrounding spaces outside the emphasis markers
+ */
+function writeRun(run) {
+  const [, leading, text, trailing] = String(run.text).match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!text) {
+    return leading + trailing;
+  }
+
+  let markdown = escapeMarkdown(text);
+  if (run.superScript) markdown = `<sup>${markdown}</sup>`;
+  if (run.subScript) markdown = `<sub>${markdown}</sub>`;
+  if (run.italics) markdown = `_${markdown}_`;
+  if (run.bold) markdown = `**${markdown}**`;
+
+  return leading + markdown + trailing;
+}
+
+/**
+ * Escape characters Markdown would read as formatting
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/[\\`*_[\]<>]/g, '\\$&')
+    .replace(/^(\s*)([#>+-]|\d+\.)(?=\s|$)/gm, (match, space, marker) => `${space}${marker.replace(/[#>+.-]/, '\\$&')}`);
+}
@@ -0,0 +1,646 @@
+import PizZip from 'pizzip';
+import { getCellColumns } from './tableGrid.js';
+import { BULLETS } from './listNumbering.js';
+
+/**
+ * Serialises a render tree to an OpenDocument Text (.odt) file
+ *
+ * Body content and its automatic styles go in content.xml; page sizes,
+ * headers, footers and the watermark go in the master pages of styles.xml.
+ * Each distinct page setup gets its own master page, which the first
+ * paragraph of a page-starting section switches to.
+ */
+
+const MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+const ODF_VERSION = '1.3';
+
+const NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"',
+].join(' ');
+
+// Automatic style name prefixes by style family
+const STYLE_PREFIXES = {
+  paragraph: 'P',
+  text: 'T',
+  table: 'Ta',
+  'table-column': 'Co',
+  'table-row': 'Ro',
+  'table-cell': 'Ce',
+  graphic: 'Gr',
+};
+
+// Sizes in points, matching the Word and PDF writers
+const HEADING_FONT_SIZES = { 1: 20, 2: 16, 3: 13 };
+const DEFAULT_HEADING_FONT_SIZE = 12;
+const SECTION_HEADING_SPACING = { before: 20, after: 10 };
+
+// Word's numbering levels: 1, a, i, then again
+const NUMBER_FORMATS = ['1', 'a', 'i'];
+const LIST_LEVELS = 9;
+
+const DEFAULT_PAGE = {
+  width: 210,
+  height: 297,
+  orientation: 'portrait',
+  margins: { top: 25.4, bottom: 25.4, left: 25.4, right: 25.4, header: 12.5, footer: 12.5 },
+};
+
+/**
+ * Write a render tree as an OpenDocument Text file
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {Buffer} .odt file
+ */
+export function writeOdt(tree) {
+  const pictures = [];
+  const content = createPart('', pictures);
+  const master = createPart('M', pictures);
+
+  // One master page per distinct page setup, the first named Standard as in LibreOffice
+  const masterPages = new Map();
+  const getMasterPage = (pageSetup = DEFAULT_PAGE) => {
+    const key = JSON.stringify(pageSetup);
+    if (!masterPages.has(key)) {
+      masterPages.set(key, { name: masterPages.size === 0 ? 'Standard' : `Page${masterPages.size + 1}`, pageSetup });
+    }
+    return masterPages.get(key).name;
+  };
+
+  let body = '';
+  tree.sections.forEach((section, index) => {
+    const masterPage = index === 0 || section.breakType !== 'continuous' ? getMasterPage(section.pageSetup) : null;
+    body += writeBlocks(content, section.children, { masterPage, contentWidth: getContentWidth(section.pageSetup) });
+  });
+
+  if (masterPages.size === 0) {
+    getMasterPage();
+  }
+
+  const masterStyles = writeMasterPages(master, tree, [...masterPages.values()]);
+
+  const zip = new PizZip();
+  // The mimetype must be the first entry, uncompressed
+  zip.file('mimetype', MIME_TYPE, { compression: 'STORE' });
+  zip.file('content.xml', writeContentXml(content, body));
+  zip.file('styles.xml', writeStylesXml(master, masterStyles));
+  zip.file('meta.xml', writeMetaXml(tree));
+  for (const picture of pictures) {
+    zip.file(picture.path, picture.data);
+  }
+  zip.file('META-INF/manifest.xml', writeManifestXml(pictures));
+
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * A document part (content.xml or styles.xml) with its own automatic styles
+ * Pictures are shared, as they live in the package
+ */
+function createPart(prefix, pictures) {
+  return { prefix, pictures, styles: new Map(), listStyles: new Map(), tables: 0, indexes: 0 };
+}
+
+/**
+ * Add an automatic style, reusing an identical one
+ * @returns {string} Style name
+ */
+function addStyle(part, family, properties, attributes = '') {
+  const key = `${family}|${attributes}|${properties}`;
+  if (!part.styles.has(key)) {
+    const name = `${part.prefix}${STYLE_PREFIXES[family]}${part.styles.size + 1}`;
+    part.styles.set(key, {
+      name,
+      xml: `<style:style style:name="${name}" style:family="${family}"${attributes}>${properties}</style:style>`,
+    });
+  }
+  return part.styles.get(key).name;
+}
+
+/**
+ * Get the automatic paragraph style for a block's alignment and keep options,
+ * or the parent style when it needs none
+ */
+function getParagraphStyle(part, parent, block = {}, { masterPage, spacing } = {}) {
+  const properties = [
+    getTextAlign(block.alignment) && `fo:text-align="${getTextAlign(block.alignment)}"`,
+    block.keepWithNext && 'fo:keep-with-next="always"',
+    block.keepTogether && 'fo:keep-together="always"',
+    spacing && `fo:margin-top="${spacing.before}pt" fo:margin-bottom="${spacing.after}pt"`,
+  ].filter(Boolean);
+
+  if (properties.length === 0 && !masterPage) {
+    return parent;
+  }
+
+  const attributes = ` style:parent-style-name="${parent}"${masterPage ? ` style:master-page-name="${masterPage}"` : ''}`;
+  return addStyle(part, 'paragraph', `<style:paragraph-properties ${properties.join(' ')}/>`, attributes);
+}
+
+function getTextAlign(alignment) {
+  const alignmentMap = {
+    center: 'center',
+    right: 'end',
+    justified: 'justify',
+  };
+
+  return alignmentMap[alignment?.toLowerCase()] || null;
+}
+
+/**
+ * Write blocks; the first starts the given master page, if any
+ */
+function writeBlocks(part, blocks, { masterPage = null, contentWidth }) {
+  let xml = '';
+  let pendingMasterPage = masterPage;
+
+  for (const block of blocks) {
+    // Only paragraphs can switch master page, so other blocks get an empty one before them
+    if (pendingMasterPage && block.type !== 'heading' && block.type !== 'paragraph') {
+      xml += `<text:p text:style-name="${getParagraphStyle(part, 'Standard', {}, { masterPage: pendingMasterPage })}"/>`;
+      pendingMasterPage = null;
+    }
+
+    xml += writeBlock(part, block, { masterPage: pendingMasterPage, contentWidth });
+    pendingMasterPage = null;
+  }
+
+  if (pendingMasterPage) {
+    xml += `<text:p text:style-name="${getParagraphStyle(part, 'Standard', {}, { masterPage: pendingMasterPage })}"/>`;
+  }
+
+  return xml;
+}
+
+/**
+ * Write a single block as ODF elements
+ */
+function writeBlock(part, block, { masterPage, contentWidth }) {
+  switch (block.type) {
+    case 'heading': {
+      const level = Math.min(Math.max(block.level, 1), 6);
+      const spacing = block.section ? SECTION_HEADING_SPACING : null;
+      const style = getParagraphStyle(part, `Heading_20_${level}`, block, { masterPage, spacing });
+      return `<text:h text:style-name="${style}" text:outline-level="${level}">${writeRuns(part, block.runs)}</text:h>`;
+    }
+
+    case 'paragraph':
+      return `<text:p text:style-name="${getParagraphStyle(part, 'Standard', block, { masterPage })}">${writeRuns(part, block.runs)}</text:p>`;
+
+    case 'list':
+      return writeList(part, block);
+
+    case 'table':
+      return writeTable(part, block, contentWidth);
+
+    case 'pageBreak':
+      return `<text:p text:style-name="${addStyle(part, 'paragraph', '<style:paragraph-properties fo:break-after="page"/>', ' style:parent-style-name="Standard"')}"/>`;
+
+    case 'toc':
+      return writeTableOfContents(part, block);
+
+    case 'image': {
+      const style = getParagraphStyle(part, 'Standard', block);
+      return `<text:p text:style-name="${style}">${writeImage(part, block, block.alt)}</text:p>`;
+    }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write a table of contents index over the outline headings
+ * The entries are written as its current content without page numbers;
+ * updating the index (Tools > Update) adds them
+ */
+function writeTableOfContents(part, block) {
+  part.indexes += 1;
+  const name = `${part.prefix}Table of Contents${part.indexes}`;
+  const title = block.title ? escapeXml(block.title) : '';
+
+  const templates = Array.from({ length: block.levels }, (_, index) =>
+    `<text:table-of-content-entry-template text:outline-level="${index + 1}" text:style-name="Contents_20_${index + 1}">`
+      + '<text:index-entry-link-start/><text:index-entry-text/><text:index-entry-tab-stop style:type="right" style:leader-char="."/>'
+      + '<text:index-entry-page-number/><text:index-entry-link-end/></text:table-of-content-entry-template>'
+  );
+  const entries = block.entries.map(
+    (entry) => `<text:p text:style-name="Contents_20_${entry.level}">${writeText(entry.text)}</text:p>`
+  );
+
+  return `<text:table-of-content text:name="${name}" text:protected="true">`
+    + `<text:table-of-content-source text:outline-level="${block.levels}">`
+    + `<text:index-title-template text:style-name="Contents_20_Heading">${title}</text:index-title-template>${templates.join('')}`
+    + '</text:table-of-content-source><text:index-body>'
+    + (title ? `<text:index-title text:name="${name}_Head"><text:p text:style-name="Contents_20_Heading">${title}</text:p></text:index-title>` : '')
+    + `${entries.join('')}</text:index-body></text:table-of-content>`;
+}
+
+/**
+ * Write a list block as nested <text:list> elements
+ */
+function writeList(part, block) {
+  let xml = `<text:list text:style-name="${getListStyle(part, block.ordered)}">`;
+  let depth = 0;
+  let itemOpen = false;
+
+  for (const entry of block.items) {
+    // A level can only go one deeper than the open item it nests under
+    const level = Math.min(entry.level, itemOpen ? depth + 1 : depth);
+
+    if (level > depth) {
+      xml += '<text:list>';
+      depth = level;
+    } else {
+      if (itemOpen) {
+        xml += '</text:list-item>';
+      }
+      while (depth > level) {
+        xml += '</text:list></text:list-item>';
+        depth--;
+      }
+    }
+
+    xml += `<text:list-item><text:p text:style-name="List_20_Paragraph">${writeRuns(part, entry.runs)}</text:p>`;
+    itemOpen = true;
+  }
+
+  xml += '</text:list-item>';
+  while (depth > 0) {
+    xml += '</text:list></text:list-item>';
+    depth--;
+  }
+  xml += '</text:list>';
+
+  return xml;
+}
+
+/**
+ * Get the bullet or numbered list style, adding it to the part when first used
+ */
+function getListStyle(part, ordered) {
+  const key = ordered ? 'numbered' : 'bullet';
+  if (!part.listStyles.has(key)) {
+    const name = `${part.prefix}L${part.listStyles.size + 1}`;
+    const levels = Array.from({ length: LIST_LEVELS }, (_, index) => {
+      const indent = round(12.7 * (index + 1));
+      const properties = '<style:list-level-properties text:list-level-position-and-space-mode="label-alignment">'
+        + `<style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${indent}mm" fo:text-indent="-6.35mm" fo:margin-left="${indent}mm"/>`
+        + '</style:list-level-properties>';
+
+      return ordered
+        ? `<text:list-level-style-number text:level="${index + 1}" style:num-suffix="." style:num-format="${NUMBER_FORMATS[index % NUMBER_FORMATS.length]}">${properties}</text:list-level-style-number>`
+        : `<text:list-level-style-bullet text:level="${index + 1}" text:bullet-char="${BULLETS[index % BULLETS.length]}">${properties}</text:list-level-style-bullet>`;
+    });
+
+    part.listStyles.set(key, { name, xml: `<text:list-style style:name="${name}">${levels.join('')}</text:list-style>` });
+  }
+  return part.listStyles.get(key).name;
+}
+
+/**
+ * Write a table block
+ * Header rows repeat on each page unless repeatHeader is off; merged cells
+ * cover their grid positions with <table:covered-table-cell>
+ */
+function writeTable(part, block, contentWidth) {
+  const rows = [
+    ...block.headerRows.map((cells) => ({ cells, header: true })),
+    ...block.rows.map((cells) => ({ cells, header: false })),
+  ];
+  const cellColumns = getCellColumns(rows.map(({ cells }) => cells));
+  const columnCount = Math.max(
+    block.columnWidths?.length || 0,
+    ...cellColumns.flat().map(({ column, span }) => column + span)
+  );
+
+  // Mark the grid positions each cell starts at or covers
+  const grid = rows.map(() => new Array(columnCount).fill(null));
+  rows.forEach(({ cells }, rowIndex) => {
+    cells.forEach((cell, cellIndex) => {
+      const { column, span } = cellColumns[rowIndex][cellIndex];
+      for (let row = rowIndex; row < Math.min(rowIndex + (cell.rowSpan || 1), rows.length); row++) {
+        grid[row].fill('covered', column, column + span);
+      }
+      grid[rowIndex][column] = cell;
+    });
+  });
+
+  const tableProperties = [
+    `style:width="${round(contentWidth)}mm"`,
+    'table:align="margins"',
+    block.keepWithNext && 'fo:keep-with-next="always"',
+    block.keepTogether && 'style:may-break-between-rows="false"',
+  ].filter(Boolean);
+  const tableStyle = addStyle(part, 'table', `<style:table-properties ${tableProperties.join(' ')}/>`);
+
+  const columnWidths = block.columnWidths || new Array(columnCount).fill(100 / columnCount);
+  const columns = columnWidths.map((percent) => {
+    const style = addStyle(part, 'table-column', `<style:table-column-properties style:column-width="${round((contentWidth * percent) / 100)}mm"/>`);
+    return `<table:table-column table:style-name="${style}"/>`;
+  });
+
+  const rowStyle = block.keepTogether ? addStyle(part, 'table-row', '<style:table-row-properties fo:keep-together="always"/>') : null;
+  const writeRow = ({ header }, rowIndex) => {
+    const cells = grid[rowIndex].map((cell) => {
+      if (cell === 'covered') return '<table:covered-table-cell/>';
+      if (cell === null) return `<table:table-cell table:style-name="${getCellStyle(part, block, null)}"><text:p text:style-name="Table_20_Contents"/></table:table-cell>`;
+      return writeTableCell(part, block, cell, header ? block.headerShading : cell.shading);
+    });
+    return `<table:table-row${rowStyle ? ` table:style-name="${rowStyle}"` : ''}>${cells.join('')}</table:table-row>`;
+  };
+
+  const headerRows = rows.filter(({ header }) => header).map(writeRow);
+  const bodyRows = rows.map((row, rowIndex) => (row.header ? null : writeRow(row, rowIndex))).filter(Boolean);
+
+  part.tables += 1;
+  let xml = `<table:table table:name="${part.prefix}Table${part.tables}" table:style-name="${tableStyle}">${columns.join('')}`;
+  xml += block.repeatHeader && headerRows.length > 0
+    ? `<table:table-header-rows>${headerRows.join('')}</table:table-header-rows>`
+    : headerRows.join('');
+  xml += `${bodyRows.join('')}</table:table>`;
+
+  return xml;
+}
+
+/**
+ * Write a table cell with its spans and background colour
+ */
+function writeTableCell(part, block, cell, shading) {
+  const spans = [
+    cell.colSpan ? ` table:number-columns-spanned="${cell.colSpan}"` : '',
+    cell.rowSpan ? ` table:number-rows-spanned="${cell.rowSpan}"` : '',
+  ].join('');
+  const content = (cell.image ? writeImage(part, cell.image, 'Signature') : '') + writeRuns(part, cell.runs);
+
+  return `<table:table-cell table:style-name="${getCellStyle(part, block, shading)}" office:value-type="string"${spans}>`
+    + `<text:p text:style-name="Table_20_Contents">${content}</text:p></table:table-cell>`;
+}
+
+function getCellStyle(part, block, shading) {
+  const properties = [
+    'fo:padding="1.4mm"',
+    block.borders && 'fo:border="0.5pt solid #000000"',
+    shading && `fo:background-color="#${shading}"`,
+  ].filter(Boolean);
+
+  return addStyle(part, 'table-cell', `<style:table-cell-properties ${properties.join(' ')}/>`);
+}
+
+/**
+ * Write an image inline at its scaled size, adding the picture to the package
+ */
+function writeImage(part, { image, width, height }, alt = '') {
+  const index = part.pictures.length + 1;
+  const path = `Pictures/image${index}.${image.type || image.contentType.split('/').pop()}`;
+  part.pictures.push({ path, data: image.data, contentType: image.contentType });
+
+  return `<draw:frame draw:name="Image${index}" text:anchor-type="as-char" svg:width="${pixelsToMillimetres(width)}mm" svg:height="${pixelsToMillimetres(height)}mm" draw:z-index="0">`
+    + `<draw:image xlink:href="${path}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/>`
+    + (alt ? `<svg:desc>${escapeXml(alt)}</svg:desc>` : '')
+    + '</draw:frame>';
+}
+
+/**
+ * Write formatted runs as text spans, with page number fields
+ */
+function writeRuns(part, runs) {
+  return runs
+    .map((run) => {
+      const content = run.field ? writeField(run.field) : writeText(run.text);
+      const properties = [
+        run.bold && 'fo:font-weight="bold"',
+        run.italics && 'fo:font-style="italic"',
+        run.underline && 'style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"',
+        run.superScript && 'style:text-position="super 58%"',
+        run.subScript && 'style:text-position="sub 58%"',
+        run.color && `fo:color="#${run.color}"`,
+      ].filter(Boolean);
+
+      if (properties.length === 0) {
+        return content;
+      }
+
+      const style = addStyle(part, 'text', `<style:text-properties ${properties.join(' ')}/>`);
+      return `<text:span text:style-name="${style}">${content}</text:span>`;
+    })
+    .join('');
+}
+
+function writeField(field) {
+  return field === 'NUMPAGES'
+    ? '<text:page-count>1</text:page-count>'
+    : '<text:page-number text:select-page="current">1</text:page-number>';
+}
+
+/**
+ * Write text, keeping repeated spaces, tabs and line breaks that ODF would collapse
+ */
+function writeText(text) {
+  return escapeXml(text)
+    .replace(/ {2,}/g, (spaces) => ` <text:s text:c="${spaces.length - 1}"/>`)
+    .replace(/\t/g, '<text:tab/>')
+    .replace(/\r?\n/g, '<text:line-break/>');
+}
+
+/**
+ * Write the master pages and page layouts, with the headers, footers and
+ * watermark shared by every page setup
+ */
+function writeMasterPages(part, tree, masterPages) {
+  const watermark = tree.watermark ? writeWatermark(part, tree.watermark, masterPages[0].pageSetup) : '';
+  const hasHeader = Object.keys(tree.headers).length > 0 || Boolean(watermark);
+  const hasFooter = Object.keys(tree.footers).length > 0;
+
+  const writeRegion = (tag, blocks, contentWidth, extra = '') => {
+    if (!blocks && !extra) return '';
+    const shape = extra ? `<text:p text:style-name="Header">${extra}</text:p>` : '';
+    return `<style:${tag}>${shape}${writeBlocks(part, blocks || [], { contentWidth })}</style:${tag}>`;
+  };
+
+  const layouts = [];
+  const pages = masterPages.map(({ name, pageSetup }, index) => {
+    const layoutName = `Mpm${index + 1}`;
+    layouts.push(writePageLayout(layoutName, pageSetup, hasHeader, hasFooter));
+
+    const contentWidth = getContentWidth(pageSetup);
+    const regions = [
+      writeRegion('header', tree.headers.default, contentWidth, watermark),
+      tree.evenAndOddPages ? writeRegion('header-left', tree.headers.even || tree.headers.default, contentWidth, watermark) : '',
+      tree.titlePage ? writeRegion('header-first', tree.headers.first || tree.headers.default, contentWidth, watermark) : '',
+      writeRegion('footer', tree.footers.default, contentWidth),
+      tree.evenAndOddPages ? writeRegion('footer-left', tree.footers.even || tree.footers.default, contentWidth) : '',
+      tree.titlePage ? writeRegion('footer-first', tree.footers.first || tree.footers.default, contentWidth) : '',
+    ];
+
+    return `<style:master-page style:name="${name}" style:page-layout-name="${layoutName}">${regions.join('')}</style:master-page>`;
+  });
+
+  return { layouts: layouts.join(''), pages: pages.join('') };
+}
+
+/**
+ * Page size and margins; headers and footers sit at their own margins, with
+ * the body starting at the top margin as in Word
+ */
+function writePageLayout(name, pageSetup = DEFAULT_PAGE, hasHeader, hasFooter) {
+  const landscape = pageSetup.orientation === 'landscape';
+  const { margins } = pageSetup;
+  const headerMargin = margins.header ?? DEFAULT_PAGE.margins.header;
+  const footerMargin = margins.footer ?? DEFAULT_PAGE.margins.footer;
+
+  const properties = [
+    `fo:page-width="${landscape ? pageSetup.height : pageSetup.width}mm"`,
+    `fo:page-height="${landscape ? pageSetup.width : pageSetup.height}mm"`,
+    `style:print-orientation="${landscape ? 'landscape' : 'portrait'}"`,
+    `fo:margin-top="${round(hasHeader ? Math.min(headerMargin, margins.top) : margins.top)}mm"`,
+    `fo:margin-bottom="${round(hasFooter ? Math.min(footerMargin, margins.bottom) : margins.bottom)}mm"`,
+    `fo:margin-left="${round(margins.left)}mm"`,
+    `fo:margin-right="${round(margins.right)}mm"`,
+  ];
+
+  const headerHeight = round(Math.max(margins.top - headerMargin, 0));
+  const footerHeight = round(Math.max(margins.bottom - footerMargin, 0));
+
+  return `<style:page-layout style:name="${name}"><style:page-layout-properties ${properties.join(' ')}/>`
+    + `<style:header-style><style:header-footer-properties fo:min-height="${headerHeight}mm" fo:margin-bottom="0mm"/></style:header-style>`
+    + `<style:footer-style><style:header-footer-properties fo:min-height="${footerHeight}mm" fo:margin-top="0mm"/></style:footer-style>`
+    + '</style:page-layout>';
+}
+
+/**
+ * Write the watermark as a diagonal Fontwork shape centred on the page,
+ * behind the text, as LibreOffice draws its own watermarks
+ */
+function writeWatermark(part, watermark, pageSetup = DEFAULT_PAGE) {
+  const landscape = pageSetup.orientation === 'landscape';
+  const pageWidth = landscape ? pageSetup.height : pageSetup.width;
+  const pageHeight = landscape ? pageSetup.width : pageSetup.height;
+  const width = getContentWidth(pageSetup);
+  const height = width / 4;
+
+  // ODF rotates about the shape's top-left corner, then translates; move the
+  // rotated centre to the page centre
+  const angle = Math.PI / 4;
+  const centreX = (width / 2) * Math.cos(angle) + (height / 2) * Math.sin(angle);
+  const centreY = -(width / 2) * Math.sin(angle) + (height / 2) * Math.cos(angle);
+  const transform = `rotate (${angle}) translate (${round(pageWidth / 2 - centreX)}mm ${round(pageHeight / 2 - centreY)}mm)`;
+
+  const style = addStyle(
+    part,
+    'graphic',
+    `<style:graphic-properties draw:stroke="none" draw:fill="solid" draw:fill-color="#${watermark.color}" draw:opacity="50%" style:wrap="run-through" style:run-through="background" style:horizontal-pos="from-left" style:horizontal-rel="page" style:vertical-pos="from-top" style:vertical-rel="page"/>`
+      + '<style:text-properties fo:font-family="Arial" fo:font-weight="bold"/>'
+  );
+
+  return `<draw:custom-shape text:anchor-type="paragraph" draw:z-index="0" draw:name="Watermark" draw:style-name="${style}" svg:width="${round(width)}mm" svg:height="${round(height)}mm" draw:transform="${transform}">`
+    + `<text:p>${escapeXml(watermark.text)}</text:p>`
+    + '<draw:enhanced-geometry svg:viewBox="0 0 21600 21600" draw:type="fontwork-plain-text" draw:text-path="true" draw:text-path-mode="shape" draw:text-path-scale="path" draw:text-path-same-letter-heights="false" draw:enhanced-path="M 0 0 L 21600 0 N M 0 21600 L 21600 21600 N"/>'
+    + '</draw:custom-shape>';
+}
+
+function writeContentXml(part, body) {
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + `<office:document-content ${NAMESPACES} office:version="${ODF_VERSION}">`
+    + `<office:automatic-styles>${writeAutomaticStyles(part)}</office:automatic-styles>`
+    + `<office:body><office:text>${body}</office:text></office:body>`
+    + '</office:document-content>';
+}
+
+function writeStylesXml(part, masterStyles) {
+  const headingStyles = [1, 2, 3, 4, 5, 6].map((level) =>
+    `<style:style style:name="Heading_20_${level}" style:display-name="Heading ${level}" style:family="paragraph" style:parent-style-name="Heading" style:next-style-name="Standard" style:default-outline-level="${level}" style:class="text">`
+      + `<style:text-properties fo:font-size="${HEADING_FONT_SIZES[level] || DEFAULT_HEADING_FONT_SIZE}pt"/></style:style>`
+  );
+  const contentsStyles = [1, 2, 3, 4, 5, 6].map((level) =>
+    `<style:style style:name="Contents_20_${level}" style:display-name="Contents ${level}" style:family="paragraph" style:parent-style-name="Standard" style:class="index">`
+      + `<style:paragraph-properties fo:margin-left="${round(4.5 * (level - 1))}mm" fo:margin-top="0pt" fo:margin-bottom="2pt">`
+      + '<style:tab-stops><style:tab-stop style:position="0mm" style:type="right" style:leader-style="dotted" style:leader-text="."/></style:tab-stops>'
+      + '</style:paragraph-properties></style:style>'
+  );
+  const outlineLevels = [1, 2, 3, 4, 5, 6].map((level) => `<text:outline-level-style text:level="${level}" style:num-format=""/>`);
+
+  const styles = [
+    '<style:default-style style:family="paragraph"><style:paragraph-properties fo:line-height="115%"/>'
+      + '<style:text-properties fo:font-family="Calibri" fo:font-size="11pt" fo:color="#000000"/></style:default-style>',
+    '<style:style style:name="Standard" style:family="paragraph" style:class="text"><style:paragraph-properties fo:margin-top="6pt" fo:margin-bottom="6pt"/></style:style>',
+    '<style:style style:name="Heading" style:family="paragraph" style:parent-style-name="Standard" style:next-style-name="Standard" style:class="text">'
+      + '<style:paragraph-properties fo:margin-top="12pt" fo:margin-bottom="6pt" fo:keep-with-next="always"/><style:text-properties fo:font-weight="bold"/></style:style>',
+    ...headingStyles,
+    '<style:style style:name="List_20_Paragraph" style:display-name="List Paragraph" style:family="paragraph" style:parent-style-name="Standard" style:class="list">'
+      + '<style:paragraph-properties fo:margin-top="0pt" fo:margin-bottom="2pt"/></style:style>',
+    '<style:style style:name="Table_20_Contents" style:display-name="Table Contents" style:family="paragraph" style:parent-style-name="Standard" style:class="extra">'
+      + '<style:paragraph-properties fo:margin-top="0pt" fo:margin-bottom="0pt"/></style:style>',
+    '<style:style style:name="Contents_20_Heading" style:display-name="Contents Heading" style:family="paragraph" style:parent-style-name="Standard" style:class="index">'
+      + '<style:paragraph-properties fo:margin-top="12pt" fo:margin-bottom="6pt"/><style:text-properties fo:font-size="16pt" fo:font-weight="bold"/></style:style>',
+    ...contentsStyles,
+    '<style:style style:name="Header" style:family="paragraph" style:parent-style-name="Standard" style:class="extra"/>',
+    '<style:style style:name="Footer" style:family="paragraph" style:parent-style-name="Standard" style:class="extra"/>',
+    `<text:outline-style style:name="Outline">${outlineLevels.join('')}</text:outline-style>`,
+  ];
+
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + `<office:document-styles ${NAMESPACES} office:version="${ODF_VERSION}">`
+    + `<office:styles>${styles.join('')}</office:styles>`
+    + `<office:automatic-styles>${masterStyles.layouts}${writeAutomaticStyles(part)}</office:automatic-styles>`
+    + `<office:master-styles>${masterStyles.pages}</office:master-styles>`
+    + '</office:document-styles>';
+}
+
+function writeAutomaticStyles(part) {
+  return [...part.styles.values(), ...part.listStyles.values()].map(({ xml }) => xml).join('');
+}
+
+function writeMetaXml(tree) {
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + `<office:document-meta ${NAMESPACES} office:version="${ODF_VERSION}"><office:meta>`
+    + '<meta:generator>Document Template Generator</meta:generator>'
+    + (tree.title ? `<dc:title>${escapeXml(tree.title)}</dc:title>` : '')
+    + '</office:meta></office:document-meta>';
+}
+
+function writeManifestXml(pictures) {
+  const entries = [
+    `<manifest:file-entry manifest:full-path="/" manifest:version="${ODF_VERSION}" manifest:media-type="${MIME_TYPE}"/>`,
+    ...['content.xml', 'styles.xml', 'meta.xml'].map((path) => `<manifest:file-entry manifest:full-path="${path}" manifest:media-type="text/xml"/>`),
+    ...pictures.map(({ path, contentType }) => `<manifest:file-entry manifest:full-path="${path}" manifest:media-type="${contentType}"/>`),
+  ];
+
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + `<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="${ODF_VERSION}">${entries.join('')}</manifest:manifest>`;
+}
+
+/**
+ * Width available for text in a section, in millimetres
+ */
+function getContentWidth(pageSetup = DEFAULT_PAGE) {
+  const pageWidth = pageSetup.orientation === 'landscape' ? pageSetup.height : pageSetup.width;
+  return pageWidth - pageSetup.margins.left - pageSetup.margins.right;
+}
+
+// Image sizes are in pixels at 96 dpi, as in the Word writer
+function pixelsToMillimetres(pixels) {
+  return round((pixels * 25.4) / 96);
+}
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+function escapeXml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;',
+  };
+  return String(text).replace(/[&<>"']/g, (char) => map[char]);
+}
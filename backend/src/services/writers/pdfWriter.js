@@ -0,0 +1,886 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { getCellColumns } from './tableGrid.js';
+import { BULLETS, formatListNumber } from './listNumbering.js';
+
+/**
+ * Serialises a render tree to a PDF with pdfkit
+ *
+ * Text is laid out here rather than by pdfkit so that runs with different
+ * formatting can share a line and every block can be measured before it is
+ * drawn (for page breaks, repeated table headers and bottom-aligned footers).
+ * The PDF embeds DejaVu Sans, whose Unicode coverage takes in accented Latin,
+ * Greek, Cyrillic and common symbols; the standard PDF fonts only cover Latin-1.
+ */
+
+const require = createRequire(import.meta.url);
+
+// Font names, each embedded from the DejaVu TrueType file of the same name
+const FONTS = {
+  regular: 'DejaVuSans',
+  bold: 'DejaVuSans-Bold',
+  italic: 'DejaVuSans-Oblique',
+  boldItalic: 'DejaVuSans-BoldOblique',
+};
+
+// Font files, read on first use and shared by every document
+let fontData = null;
+
+// Sizes in points
+const BODY_FONT_SIZE = 11;
+const TABLE_FONT_SIZE = 10;
+const HEADING_FONT_SIZES = { 1: 20, 2: 16, 3: 13 };
+const DEFAULT_HEADING_FONT_SIZE = 12;
+const LINE_HEIGHT = 1.2;
+
+// Spacing in points, matching the Word writer
+const PARAGRAPH_SPACING = { before: 6, after: 6 };
+const HEADING_SPACING = {
+  section: { before: 20, after: 10 },
+  content: { before: 12, after: 6 },
+};
+const LIST_ITEM_SPACING = 2;
+const TOC_INDENT = 18;
+const TOC_PAGE_NUMBER_WIDTH = 36;
+const LIST_INDENT = 36;
+const LIST_HANGING = 18;
+const TABLE_SPACING = 6;
+const HEADER_FOOTER_SPACING = 6;
+const CELL_PADDING = 4;
+const BORDER_WIDTH = 0.5;
+
+// Room left below a block kept with the next one, about two lines of text
+const KEEP_WITH_NEXT_SPACE = 2 * BODY_FONT_SIZE * LINE_HEIGHT;
+
+/**
+ * Write a render tree as a PDF
+ * Headers and footers are drawn once the page count is known. A body that uses
+ * {{NUMPAGES}} is laid out twice, the first time only to count its pages
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {Promise<Buffer>} PDF file
+ */
+export function writePdf(tree) {
+  const bodyBlocks = tree.sections.flatMap((section) => section.children);
+  const pageCount = hasField(bodyBlocks, 'NUMPAGES') ? layoutBody(createDocument(), tree, null).pages.length : null;
+
+  const doc = createDocument();
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // The watermark is drawn as each page starts, so the content covers it
+  doc.on('pageAdded', () => drawWatermark(doc, tree.watermark));
+
+  const state = layoutBody(doc, tree, pageCount);
+  drawTocPageNumbers(state);
+  drawHeadersAndFooters(state, tree);
+
+  doc.end();
+  return finished;
+}
+
+/**
+ * Create a PDF document with the embedded fonts registered
+ */
+function createDocument() {
+  const doc = new PDFDocument({ autoFirstPage: false, bufferPages: true });
+  for (const [name, data] of Object.entries(loadFonts())) {
+    doc.registerFont(name, data);
+  }
+  return doc;
+}
+
+/**
+ * Lay out the body of every section, adding pages as they fill
+ * @param {number|null} pageCount - Page count for {{NUMPAGES}}, or null if not known
+ * @returns {Object} Layout state, with the pages added
+ */
+function layoutBody(doc, tree, pageCount) {
+  const state = { doc, tree, pageCount, pages: [], y: 0, frame: null, listCounters: [], headingPages: {}, tocSlots: [] };
+
+  for (const section of tree.sections) {
+    startSection(state, section);
+    section.children.forEach((block, index) => flowBlock(state, block, section.children[index + 1]));
+  }
+
+  if (state.pages.length === 0) {
+    addPage(state, null);
+  }
+
+  return state;
+}
+
+/**
+ * Check whether any run of the blocks is the given page number field
+ */
+function hasField(blocks, field) {
+  return blocks.some((block) => {
+    const cells = [...(block.headerRows || []), ...(block.rows || [])].flat();
+    return [block.runs, ...(block.items || []).map((entry) => entry.runs), ...cells.map((cell) => cell.runs)]
+      .some((runs) => runs?.some((run) => run.field === field));
+  });
+}
+
+/**
+ * Start a section on a new page, or on the current page after a continuous break
+ * Even- and odd-page breaks add a blank page when needed, as Word does
+ */
+function startSection(state, section) {
+  if (state.pages.length > 0 && section.breakType === 'continuous') {
+    return;
+  }
+
+  addPage(state, section.pageSetup);
+
+  const pageNumber = state.pages.length;
+  if ((section.breakType === 'evenPage' && pageNumber % 2 === 1) || (section.breakType === 'oddPage' && pageNumber % 2 === 0)) {
+    addPage(state, section.pageSetup);
+  }
+}
+
+/**
+ * Add a page with a section's size and margins
+ */
+function addPage(state, pageSetup) {
+  const setup = pageSetup || state.pages[state.pages.length - 1]?.setup || null;
+  const page = getPageMetrics(setup);
+
+  state.doc.addPage({ size: [page.width, page.height], margin: 0 });
+  state.pages.push(page);
+  fitHeaderAndFooter(state, page);
+  state.frame = page;
+  state.y = page.top;
+}
+
+/**
+ * Move the body's top and bottom in where the page's header or footer reaches
+ * past the margins, as Word does, so they never overlap the body
+ */
+function fitHeaderAndFooter(state, page) {
+  const pageNumber = state.pages.length;
+  const { header, footer } = getHeaderAndFooter(state.tree, pageNumber);
+  // Before the page count is known, the page number stands in for it
+  const fields = { PAGE: () => String(pageNumber), NUMPAGES: () => String(state.pageCount || pageNumber) };
+
+  if (header) {
+    const headerBottom = page.margins.header + measureFixedBlocks(state.doc, header, page, fields);
+    page.top = Math.max(page.top, headerBottom + HEADER_FOOTER_SPACING);
+  }
+  if (footer) {
+    const footerTop = page.height - page.margins.footer - measureFixedBlocks(state.doc, footer, page, fields);
+    page.bottom = Math.min(page.bottom, footerTop - HEADER_FOOTER_SPACING);
+  }
+}
+
+/**
+ * Page size and margins in points (A4 with Word's default margins when unknown)
+ */
+function getPageMetrics(pageSetup) {
+  const setup = pageSetup || {
+    width: 210,
+    height: 297,
+    orientation: 'portrait',
+    margins: { top: 25.4, bottom: 25.4, left: 25.4, right: 25.4, header: 12.5, footer: 12.5 },
+  };
+
+  const landscape = setup.orientation === 'landscape';
+  const width = millimetresToPoints(landscape ? setup.height : setup.width);
+  const height = millimetresToPoints(landscape ? setup.width : setup.height);
+  const margins = Object.fromEntries(
+    Object.entries(setup.margins).map(([side, value]) => [side, millimetresToPoints(value)])
+  );
+
+  return {
+    setup,
+    width,
+    height,
+    margins,
+    left: margins.left,
+    top: margins.top,
+    contentWidth: width - margins.left - margins.right,
+    bottom: height - margins.bottom,
+  };
+}
+
+/**
+ * Move to a new page if the space left is less than the given height
+ * A block taller than a whole page starts at the top of the next one and overflows
+ */
+function ensureSpace(state, height) {
+  if (state.y + height > state.frame.bottom && state.y > state.frame.top) {
+    addPage(state, null);
+  }
+}
+
+/**
+ * Lay out one body block, breaking pages where needed
+ */
+function flowBlock(state, block, nextBlock) {
+  const { doc, frame } = state;
+  // {{NUMPAGES}} is blank while the pages are being counted
+  const fields = { PAGE: () => String(state.pages.length), NUMPAGES: () => (state.pageCount ? String(state.pageCount) : '') };
+
+  if (block.type !== 'list') {
+    state.listCounters = [];
+  }
+
+  switch (block.type) {
+    case 'heading': {
+      const spacing = block.section ? HEADING_SPACING.section : HEADING_SPACING.content;
+      const lines = layoutText(doc, block.runs, frame.contentWidth, { size: getHeadingSize(block.level), bold: true }, fields);
+
+      // Headings always stay with what follows them, as Word's heading styles do
+      state.y += state.y > frame.top ? spacing.before : 0;
+      ensureSpace(state, getLinesHeight(lines) + (nextBlock ? KEEP_WITH_NEXT_SPACE : 0));
+      if (block.anchor) {
+        state.headingPages[block.anchor] = state.pages.length;
+      }
+      flowLines(state, lines, frame.left, frame.contentWidth, 'left', block.keepTogether);
+      state.y += spacing.after;
+      return;
+    }
+
+    case 'toc':
+      flowTableOfContents(state, block, fields);
+      return;
+
+    case 'paragraph': {
+      const lines = layoutText(doc, block.runs, frame.contentWidth, { size: BODY_FONT_SIZE }, fields);
+
+      state.y += state.y > frame.top ? PARAGRAPH_SPACING.before : 0;
+      ensureSpace(state, getKeepHeight(block, lines, nextBlock));
+      flowLines(state, lines, frame.left, frame.contentWidth, block.alignment, block.keepTogether);
+      state.y += PARAGRAPH_SPACING.after;
+      return;
+    }
+
+    case 'list':
+      block.items.forEach((entry) => flowListItem(state, block, entry, fields));
+      state.listCounters = [];
+      state.y += PARAGRAPH_SPACING.after;
+      return;
+
+    case 'table':
+      flowTable(state, block, fields);
+      return;
+
+    case 'image': {
+      const size = fitImage(block, frame.contentWidth);
+      ensureSpace(state, size.height + (block.keepWithNext && nextBlock ? KEEP_WITH_NEXT_SPACE : 0));
+      drawImage(doc, block.image, getAlignedX(frame.left, frame.contentWidth, size.width, block.alignment), state.y, size);
+      state.y += size.height + PARAGRAPH_SPACING.after;
+      return;
+    }
+
+    case 'pageBreak':
+      addPage(state, null);
+      return;
+
+    default:
+      console.warn(`Unknown block type: ${block.type}`);
+  }
+}
+
+/**
+ * Space a paragraph needs on the current page before it starts
+ */
+function getKeepHeight(block, lines, nextBlock) {
+  const firstLine = lines[0]?.height || 0;
+  const height = block.keepTogether ? getLinesHeight(lines) : firstLine;
+  return height + (block.keepWithNext && nextBlock ? KEEP_WITH_NEXT_SPACE : 0);
+}
+
+/**
+ * Draw lines of text from the current position, continuing on new pages;
+ * lines kept together move to a new page as a whole when they fit on one
+ */
+function flowLines(state, lines, x, width, alignment, keepTogether) {
+  if (keepTogether) {
+    ensureSpace(state, getLinesHeight(lines));
+  }
+
+  for (const line of lines) {
+    ensureSpace(state, line.height);
+    drawLine(state.doc, line, x, state.y, width, alignment);
+    state.y += line.height;
+  }
+}
+
+/**
+ * Lay out a table of contents, indented by level; the page numbers are drawn
+ * by drawTocPageNumbers once every heading has been placed
+ */
+function flowTableOfContents(state, block, fields) {
+  const { doc, frame } = state;
+
+  if (block.title) {
+    const lines = layoutText(doc, [{ text: block.title }], frame.contentWidth, { size: getHeadingSize(2), bold: true }, fields);
+    state.y += state.y > frame.top ? HEADING_SPACING.content.before : 0;
+    ensureSpace(state, getLinesHeight(lines) + KEEP_WITH_NEXT_SPACE);
+    flowLines(state, lines, frame.left, frame.contentWidth, 'left', true);
+    state.y += HEADING_SPACING.content.after;
+  }
+
+  for (const entry of block.entries) {
+    const indent = TOC_INDENT * (entry.level - 1);
+    const lines = layoutText(doc, [{ text: entry.text }], frame.contentWidth - indent - TOC_PAGE_NUMBER_WIDTH, { size: BODY_FONT_SIZE }, fields);
+    if (lines.length === 0) continue;
+
+    flowLines(state, lines, frame.left + indent, frame.contentWidth - indent, 'left', true);
+
+    // The page number goes at the right of the entry's last line
+    const lastLine = lines[lines.length - 1];
+    state.tocSlots.push({ pageIndex: state.pages.length - 1, y: state.y - lastLine.height, anchor: entry.anchor });
+    state.y += LIST_ITEM_SPACING;
+  }
+
+  state.y += PARAGRAPH_SPACING.after;
+}
+
+/**
+ * Fill in the page numbers of table of contents entries
+ */
+function drawTocPageNumbers(state) {
+  const { doc, pages } = state;
+
+  for (const slot of state.tocSlots) {
+    const pageNumber = state.headingPages[slot.anchor];
+    if (!pageNumber) continue;
+
+    const page = pages[slot.pageIndex];
+    const [line] = layoutText(doc, [{ text: String(pageNumber) }], TOC_PAGE_NUMBER_WIDTH, { size: BODY_FONT_SIZE }, {});
+
+    doc.switchToPage(slot.pageIndex);
+    drawLine(doc, line, page.left, slot.y, page.contentWidth, 'right');
+  }
+}
+
+/**
+ * Lay out a list item with its bullet or number in the hanging indent
+ */
+function flowListItem(state, block, entry, fields) {
+  const { doc, frame } = state;
+  const counters = state.listCounters;
+
+  counters[entry.level] = (counters[entry.level] || 0) + 1;
+  counters.length = entry.level + 1;
+
+  const label = block.ordered ? `${formatListNumber(counters[entry.level], entry.level)}.` : BULLETS[entry.level % BULLETS.length];
+  const indent = LIST_INDENT * (entry.level + 1);
+  const width = frame.contentWidth - indent;
+  const lines = layoutText(doc, entry.runs, width, { size: BODY_FONT_SIZE }, fields);
+
+  ensureSpace(state, lines[0]?.height || 0);
+  drawLine(doc, layoutText(doc, [{ text: label }], LIST_HANGING * 2, { size: BODY_FONT_SIZE }, fields)[0], frame.left + indent - LIST_HANGING, state.y, LIST_HANGING, 'left');
+  flowLines(state, lines, frame.left + indent, width, 'left', false);
+  state.y += LIST_ITEM_SPACING;
+}
+
+/**
+ * Lay out a table and draw it row by row, repeating the header rows on each
+ * new page unless repeatHeader is off
+ * Rows joined by row spans are kept on one page, and keepTogether moves the
+ * whole table to a new page when it fits on one
+ */
+function flowTable(state, block, fields) {
+  const table = layoutTable(state.doc, block, state.frame.contentWidth, fields);
+  const headerRows = table.rows.filter((row) => row.header);
+  const headerHeight = headerRows.reduce((sum, row) => sum + row.height, 0);
+
+  if (block.keepTogether) {
+    ensureSpace(state, table.height);
+  }
+
+  // Header rows go above the first body rows and, when repeated, at the top of each new page
+  let headerPending = headerRows.length > 0;
+
+  for (const group of getRowGroups(table.rows.filter((row) => !row.header))) {
+    const groupHeight = group.reduce((sum, row) => sum + row.height, 0);
+
+    if (state.y + groupHeight + (headerPending ? headerHeight : 0) > state.frame.bottom && state.y > state.frame.top) {
+      addPage(state, null);
+      headerPending = headerPending || (block.repeatHeader && headerRows.length > 0);
+    }
+
+    if (headerPending) {
+      state.y = drawTableRows(state.doc, block, table, headerRows, state.frame.left, state.y);
+      headerPending = false;
+    }
+
+    state.y = drawTableRows(state.doc, block, table, group, state.frame.left, state.y);
+  }
+
+  // A table with only header rows
+  if (headerPending) {
+    ensureSpace(state, headerHeight);
+    state.y = drawTableRows(state.doc, block, table, headerRows, state.frame.left, state.y);
+  }
+
+  state.y += TABLE_SPACING;
+}
+
+/**
+ * Group body rows that row spans join, so each group is kept on one page
+ */
+function getRowGroups(rows) {
+  const groups = [];
+  let group = [];
+  let groupEnd = -1;
+
+  rows.forEach((row, rowIndex) => {
+    group.push(row);
+    for (const cell of row.cells) {
+      groupEnd = Math.max(groupEnd, rowIndex + cell.rowSpan - 1);
+    }
+
+    if (rowIndex >= groupEnd) {
+      groups.push(group);
+      group = [];
+    }
+  });
+
+  if (group.length > 0) {
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Lay out a table's cells and row heights
+ * @returns {Object} { rows: [{ header, cells, height }], height }
+ */
+function layoutTable(doc, block, width, fields) {
+  const sourceRows = [
+    ...block.headerRows.map((cells) => ({ cells, header: true })),
+    ...block.rows.map((cells) => ({ cells, header: false })),
+  ];
+  const positions = getCellColumns(sourceRows.map(({ cells }) => cells));
+  const columnCount = Math.max(0, ...positions.flat().map(({ column, span }) => column + span));
+
+  const columnWidths = block.columnWidths?.length === columnCount
+    ? block.columnWidths.map((percent) => (width * percent) / 100)
+    : Array.from({ length: columnCount }, () => width / columnCount);
+  const columnStarts = columnWidths.map((_, column) => columnWidths.slice(0, column).reduce((sum, value) => sum + value, 0));
+
+  const rows = sourceRows.map(({ cells, header }, rowIndex) => ({
+    header,
+    height: BODY_FONT_SIZE * LINE_HEIGHT,
+    cells: cells.map((cell, cellIndex) => {
+      const { column, span } = positions[rowIndex][cellIndex];
+      const cellWidth = columnWidths.slice(column, column + span).reduce((sum, value) => sum + value, 0);
+      const innerWidth = Math.max(cellWidth - 2 * CELL_PADDING, 1);
+      const image = cell.image ? { ...cell.image, ...fitImage(cell.image, innerWidth) } : null;
+      const lines = layoutText(doc, cell.runs, innerWidth, { size: TABLE_FONT_SIZE }, fields);
+
+      return {
+        x: columnStarts[column] || 0,
+        width: cellWidth,
+        rowSpan: cell.rowSpan || 1,
+        shading: header ? block.headerShading : cell.shading,
+        image,
+        lines,
+        contentHeight: (image?.height || 0) + getLinesHeight(lines) + 2 * CELL_PADDING,
+      };
+    }),
+  }));
+
+  // Single-row cells set their row's height; spanning cells stretch the last row they cover
+  rows.forEach((row) => {
+    row.cells.filter((cell) => cell.rowSpan === 1).forEach((cell) => {
+      row.height = Math.max(row.height, cell.contentHeight);
+    });
+  });
+  rows.forEach((row, rowIndex) => {
+    row.cells.filter((cell) => cell.rowSpan > 1).forEach((cell) => {
+      const lastRow = Math.min(rowIndex + cell.rowSpan, rows.length) - 1;
+      const spanned = rows.slice(rowIndex, lastRow + 1).reduce((sum, spannedRow) => sum + spannedRow.height, 0);
+      if (cell.contentHeight > spanned) {
+        rows[lastRow].height += cell.contentHeight - spanned;
+      }
+    });
+  });
+
+  return { rows, height: rows.reduce((sum, row) => sum + row.height, 0) };
+}
+
+/**
+ * Draw table rows from the given position
+ * @returns {number} Position below the last row
+ */
+function drawTableRows(doc, block, table, rows, x, y) {
+  let rowTop = y;
+
+  for (const row of rows) {
+    const rowIndex = table.rows.indexOf(row);
+
+    for (const cell of row.cells) {
+      const height = table.rows.slice(rowIndex, rowIndex + cell.rowSpan).reduce((sum, spannedRow) => sum + spannedRow.height, 0);
+      const cellX = x + cell.x;
+
+      if (cell.shading) {
+        doc.save().rect(cellX, rowTop, cell.width, height).fill(`#${cell.shading}`).restore();
+      }
+      if (block.borders) {
+        doc.save().lineWidth(BORDER_WIDTH).strokeColor('#000000').rect(cellX, rowTop, cell.width, height).stroke().restore();
+      }
+
+      let contentY = rowTop + CELL_PADDING;
+      if (cell.image) {
+        drawImage(doc, cell.image.image, cellX + CELL_PADDING, contentY, cell.image);
+        contentY += cell.image.height;
+      }
+      for (const line of cell.lines) {
+        drawLine(doc, line, cellX + CELL_PADDING, contentY, cell.width - 2 * CELL_PADDING, 'left');
+        contentY += line.height;
+      }
+    }
+
+    rowTop += row.height;
+  }
+
+  return rowTop;
+}
+
+/**
+ * Draw the header and footer of every page, now the page count is known
+ */
+function drawHeadersAndFooters(state, tree) {
+  const { doc, pages } = state;
+
+  pages.forEach((page, pageIndex) => {
+    const pageNumber = pageIndex + 1;
+    const { header, footer } = getHeaderAndFooter(tree, pageNumber);
+    const fields = { PAGE: () => String(pageNumber), NUMPAGES: () => String(pages.length) };
+
+    doc.switchToPage(pageIndex);
+
+    if (header) {
+      drawFixedBlocks(doc, header, page, page.margins.header, fields);
+    }
+
+    if (footer) {
+      const height = measureFixedBlocks(doc, footer, page, fields);
+      drawFixedBlocks(doc, footer, page, page.height - page.margins.footer - height, fields);
+    }
+  });
+}
+
+/**
+ * Pick a page's header and footer blocks
+ * The first page uses the "first" variant when the document has one, even
+ * pages the "even" variant
+ * @returns {Object} { header, footer }, each undefined if the page has none
+ */
+function getHeaderAndFooter(tree, pageNumber) {
+  const variant = (tree.titlePage && pageNumber === 1 && 'first')
+    || (tree.evenAndOddPages && pageNumber % 2 === 0 && 'even')
+    || 'default';
+
+  return {
+    header: tree.headers[variant] || tree.headers.default,
+    footer: tree.footers[variant] || tree.footers.default,
+  };
+}
+
+/**
+ * Lay out header or footer blocks without page breaks
+ * @returns {Array<Object>} { height, draw(y) } for each block
+ */
+function layoutFixedBlocks(doc, blocks, page, fields) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+      case 'paragraph': {
+        const size = block.type === 'heading' ? getHeadingSize(block.level) : BODY_FONT_SIZE;
+        const lines = layoutText(doc, block.runs, page.contentWidth, { size, bold: block.type === 'heading' }, fields);
+        return {
+          height: getLinesHeight(lines),
+          draw: (y) => lines.reduce((lineY, line) => {
+            drawLine(doc, line, page.left, lineY, page.contentWidth, block.alignment);
+            return lineY + line.height;
+          }, y),
+        };
+      }
+
+      case 'table': {
+        const table = layoutTable(doc, block, page.contentWidth, fields);
+        return { height: table.height, draw: (y) => drawTableRows(doc, block, table, table.rows, page.left, y) };
+      }
+
+      case 'image': {
+        const size = fitImage(block, page.contentWidth);
+        return {
+          height: size.height,
+          draw: (y) => drawImage(doc, block.image, getAlignedX(page.left, page.contentWidth, size.width, block.alignment), y, size),
+        };
+      }
+
+      case 'list': {
+        const lines = block.items.flatMap((entry) => layoutText(doc, entry.runs, page.contentWidth - LIST_INDENT, { size: BODY_FONT_SIZE }, fields));
+        return {
+          height: getLinesHeight(lines),
+          draw: (y) => lines.reduce((lineY, line) => {
+            drawLine(doc, line, page.left + LIST_INDENT, lineY, page.contentWidth - LIST_INDENT, 'left');
+            return lineY + line.height;
+          }, y),
+        };
+      }
+
+      default:
+        return { height: 0, draw: () => {} };
+    }
+  });
+}
+
+/**
+ * Read the embedded font files
+ */
+function loadFonts() {
+  if (!fontData) {
+    fontData = Object.fromEntries(
+      Object.values(FONTS).map((name) => [name, fs.readFileSync(require.resolve(`dejavu-fonts-ttf/ttf/${name}.ttf`))])
+    );
+  }
+  return fontData;
+}
+
+function measureFixedBlocks(doc, blocks, page, fields) {
+  return layoutFixedBlocks(doc, blocks, page, fields).reduce((sum, block) => sum + block.height, 0);
+}
+
+function drawFixedBlocks(doc, blocks, page, top, fields) {
+  let y = top;
+  for (const block of layoutFixedBlocks(doc, blocks, page, fields)) {
+    block.draw(y);
+    y += block.height;
+  }
+}
+
+/**
+ * Break formatted runs into lines that fit the given width
+ * @returns {Array<Object>} Lines of { segments: [{ text, font, size, color, underline, rise, width }], width, height }
+ */
+function layoutText(doc, runs, width, style, fields) {
+  const lines = [];
+  let line = createLine(style.size);
+
+  const finishLine = () => {
+    // Spaces at the end of a line take no room
+    while (line.segments.length > 0 && /^\s+$/.test(line.segments[line.segments.length - 1].text)) {
+      line.width -= line.segments.pop().width;
+    }
+    lines.push(line);
+    line = createLine(style.size);
+  };
+
+  for (const run of runs) {
+    const text = run.field ? fields[run.field]?.() ?? '' : String(run.text ?? '');
+    const format = getRunFormat(run, style);
+
+    text.split('\n').forEach((paragraphText, index) => {
+      if (index > 0) finishLine();
+
+      for (const word of paragraphText.split(/(\s+)/).filter(Boolean)) {
+        const isSpace = /^\s+$/.test(word);
+        if (isSpace && line.segments.length === 0) continue;
+
+        const wordWidth = measure(doc, word, format);
+        if (!isSpace && line.width + wordWidth > width && line.segments.length > 0) {
+          finishLine();
+        }
+
+        // Words wider than the line are broken between characters
+        if (!isSpace && wordWidth > width) {
+          const chars = Array.from(word);
+          const offsets = getCharacterOffsets(doc, chars, format);
+          let start = 0;
+
+          while (offsets[chars.length] - offsets[start] > width - line.width && chars.length - start > 1) {
+            const end = findBreak(offsets, start, chars.length, offsets[start] + width - line.width);
+            addSegment(line, chars.slice(start, end).join(''), format, offsets[end] - offsets[start]);
+            finishLine();
+            start = end;
+          }
+
+          addSegment(line, chars.slice(start).join(''), format, offsets[chars.length] - offsets[start]);
+          continue;
+        }
+
+        addSegment(line, word, format, wordWidth);
+      }
+    });
+  }
+
+  finishLine();
+  return lines;
+}
+
+/**
+ * Measure a word once as the running width after each character, so breaking
+ * a long word costs one measurement per distinct character
+ * @returns {number[]} offsets[i] is the width of the first i characters
+ */
+function getCharacterOffsets(doc, chars, format) {
+  const widths = new Map();
+  const offsets = [0];
+
+  for (const char of chars) {
+    if (!widths.has(char)) widths.set(char, measure(doc, char, format));
+    offsets.push(offsets[offsets.length - 1] + widths.get(char));
+  }
+
+  return offsets;
+}
+
+/**
+ * Find where to break a word starting at start: the furthest character end
+ * whose offset is within limit, taking at least one character and leaving at
+ * least one, by binary search on the offsets
+ */
+function findBreak(offsets, start, length, limit) {
+  let low = start + 1;
+  let high = length - 1;
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] > limit) {
+      high = middle - 1;
+    } else {
+      low = middle;
+    }
+  }
+
+  return low;
+}
+
+function createLine(size) {
+  return { segments: [], width: 0, height: size * LINE_HEIGHT };
+}
+
+function addSegment(line, text, format, width) {
+  line.segments.push({ ...format, text, width });
+  line.width += width;
+  line.height = Math.max(line.height, format.baseSize * LINE_HEIGHT);
+}
+
+/**
+ * Font, size and colour of a run; superscript and subscript are set smaller
+ * and raised or lowered
+ */
+function getRunFormat(run, style) {
+  const bold = Boolean(run.bold || style.bold);
+  const font = bold && run.italics ? FONTS.boldItalic : bold ? FONTS.bold : run.italics ? FONTS.italic : FONTS.regular;
+  const shifted = run.superScript || run.subScript;
+  const size = shifted ? style.size * 0.7 : style.size;
+
+  return {
+    font,
+    size,
+    baseSize: style.size,
+    color: run.color ? `#${run.color}` : '#000000',
+    underline: Boolean(run.underline),
+    rise: run.superScript ? -style.size * 0.35 : run.subScript ? style.size * 0.15 : 0,
+  };
+}
+
+function measure(doc, text, format) {
+  return doc.font(format.font).fontSize(format.size).widthOfString(text);
+}
+
+/**
+ * Draw one laid-out line with its top at y
+ */
+function drawLine(doc, line, x, y, width, alignment) {
+  let segmentX = getAlignedX(x, width, line.width, alignment);
+
+  for (const segment of line.segments) {
+    const top = y + (line.height - segment.baseSize * LINE_HEIGHT) + (segment.baseSize - segment.size) * 0.8 + segment.rise;
+    doc
+      .font(segment.font)
+      .fontSize(segment.size)
+      .fillColor(segment.color)
+      .text(segment.text, segmentX, top, { lineBreak: false });
+
+    if (segment.underline) {
+      const underlineY = top + segment.size * 0.95;
+      doc.save().lineWidth(segment.size / 18).strokeColor(segment.color)
+        .moveTo(segmentX, underlineY).lineTo(segmentX + segment.width, underlineY).stroke().restore();
+    }
+
+    segmentX += segment.width;
+  }
+}
+
+function getLinesHeight(lines) {
+  return lines.reduce((sum, line) => sum + line.height, 0);
+}
+
+function getAlignedX(x, width, contentWidth, alignment) {
+  switch (alignment) {
+    case 'center':
+      return x + (width - contentWidth) / 2;
+    case 'right':
+      return x + width - contentWidth;
+    default:
+      return x;
+  }
+}
+
+function getHeadingSize(level) {
+  return HEADING_FONT_SIZES[level] || DEFAULT_HEADING_FONT_SIZE;
+}
+
+/**
+ * Convert an image's pixel size to points, shrinking it to fit the width
+ */
+function fitImage({ width, height }, maxWidth) {
+  const pointWidth = width * 0.75;
+  const pointHeight = height * 0.75;
+  const scale = pointWidth > maxWidth ? maxWidth / pointWidth : 1;
+  return { width: pointWidth * scale, height: pointHeight * scale };
+}
+
+/**
+ * Draw an image; PDFs can hold PNG and JPEG images only
+ */
+function drawImage(doc, image, x, y, size) {
+  if (!['image/png', 'image/jpeg'].includes(image.contentType)) {
+    console.warn(`Image type not supported in PDF: ${image.contentType}`);
+    return;
+  }
+
+  doc.image(image.data, x, y, { width: size.width, height: size.height });
+}
+
+/**
+ * Draw a watermark diagonally across the page, behind the content
+ */
+function drawWatermark(doc, watermark) {
+  if (!watermark) {
+    return;
+  }
+
+  const { width, height } = doc.page;
+  const diagonal = Math.sqrt(width * width + height * height);
+  doc.font(FONTS.bold).fontSize(1);
+  const size = Math.min(96, (diagonal * 0.6) / doc.widthOfString(watermark.text));
+
+  doc
+    .save()
+    .rotate(-Math.atan2(height, width) * (180 / Math.PI), { origin: [width / 2, height / 2] })
+    .font(FONTS.bold)
+    .fontSize(size)
+    .fillColor(`#${watermark.color}`)
+    .fillOpacity(0.5)
+    .text(watermark.text, width / 2 - doc.widthOfString(watermark.text) / 2, height / 2 - size / 2, { lineBreak: false })
+    .restore();
+}
+
+function millimetresToPoints(value) {
+  return (value * 72) / 25.4;
+}
@@ -0,0 +1,55 @@
+/**
+ * Table grid helpers shared by the writers that lay out table columns themselves
+ */
+
+/**
+ * Find the grid column each cell starts in and how many columns it spans,
+ * skipping columns still covered by row spans from the rows above
+ * @param {Array<Array<Object>>} rows - Rows of cells with optional colSpan / rowSpan
+ * @returns {Array<Array<Object>>} { column, span } for each cell
+ */
+export function getCellColumns(rows) {
+  const coveredUntil = [];
+
+  return rows.map((cells, rowIndex) => {
+    let column = 0;
+
+    return cells.map((cell) => {
+      while (coveredUntil[column] > rowIndex) {
+        column++;
+      }
+
+      const span = cell.colSpan || 1;
+      for (let offset = 0; offset < span; offset++) {
+        coveredUntil[column + offset] = rowIndex + (cell.rowSpan || 1);
+      }
+
+      const position = { column, span };
+      column += span;
+      return position;
+    });
+  });
+}
+
+/**
+ * Unmerge cells that span several rows, repeating each one in every row it covers
+ * For formats that cannot merge rows, where a blank cell would read as a missing value
+ * @param {Array<Array<Object>>} rows - Rows of cells with optional colSpan / rowSpan
+ * @returns {Array<Array<Object>>} Rows of cells without row spans
+ */
+export function repeatRowSpans(rows) {
+  const positions = getCellColumns(rows);
+  const expanded = rows.map(() => []);
+
+  rows.forEach((cells, rowIndex) => {
+    cells.forEach((cell, cellIndex) => {
+      const { column } = positions[rowIndex][cellIndex];
+      const lastRow = Math.min(rowIndex + (cell.rowSpan || 1), rows.length);
+      for (let row = rowIndex; row < lastRow; row++) {
+        expanded[row].push({ column, cell: { ...cell, rowSpan: 1 } });
+      }
+    });
+  });
+
+  return expanded.map((entries) => entries.sort((a, b) => a.column - b.column).map(({ cell }) => cell));
+}
@@ -0,0 +1,205 @@
+import { getCellColumns, repeatRowSpans } from './tableGrid.js';
+import { BULLETS, formatListNumber } from './listNumbering.js';
+
+/**
+ * Serialises a render tree to plain text
+ *
+ * Headings are underlined, lists are indented with their markers and tables
+ * are drawn with fixed-width columns. Headers come first and footers last,
+ * page breaks become form feeds and page number fields are left out.
+ */
+
+// Widest a table column may grow before its text wraps, in characters
+const MAX_COLUMN_WIDTH = 30;
+const LIST_INDENT = 4;
+
+/**
+ * Write a render tree as plain text
+ * @param {Object} tree - Render tree from buildRenderTree
+ * @returns {string} Text
+ */
+export function writeText(tree) {
+  const blocks = [];
+
+  if (tree.watermark) {
+    blocks.push(`*** ${tree.watermark.text} ***`);
+  }
+
+  blocks.push(...writeBlocks(tree.headers.first || tree.headers.default || []));
+
+  tree.sections.forEach((section, index) => {
+    if (index > 0 && section.breakType !== 'continuous') {
+      blocks.push('\f');
+    }
+    blocks.push(...writeBlocks(section.children));
+  });
+
+  blocks.push(...writeBlocks(tree.footers.first || tree.footers.default || []));
+
+  return `${blocks.join('\n\n').replace(/\n*\f\n*/g, '\n\f')}\n`;
+}
+
+/**
+ * Write blocks, leaving out any that have no text
+ */
+function writeBlocks(blocks) {
+  return blocks.map(writeBlock).filter(Boolean);
+}
+
+/**
+ * Write a single block as text
+ */
+function writeBlock(block) {
+  switch (block.type) {
+    case 'heading': {
+      const text = getText(block.runs).replace(/\n/g, ' ');
+      const underline = { 1: '=', 2: '-' }[block.level];
+      return underline && text ? `${text}\n${underline.repeat(text.length)}` : text;
+    }
+
+    case 'paragraph':
+      return getText(block.runs);
+
+    case 'list':
+      return writeList(block);
+
+    case 'table':
+      return writeTable(block);
+
+    case 'pageBreak':
+      return '\f';
+
+    case 'toc': {
+      // Indent relative to the shallowest entry; an empty contents has no entries to measure
+      const topLevel = Math.min(6, ...block.entries.map((entry) => entry.level));
+      const entries = block.entries.map((entry) => `${' '.repeat(LIST_INDENT * (entry.level - topLevel))}${entry.text}`);
+      return [block.title, ...entries].filter(Boolean).join('\n');
+    }
+
+    case 'image':
+      return block.alt ? `[Image: ${block.alt}]` : '[Image]';
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write a list block with numbers or bullets, wrapped lines lining up with the text
+ */
+function writeList(block) {
+  const counters = [];
+  let depth = -1;
+
+  return block.items
+    .map((entry) => {
+      const level = Math.min(entry.level, depth + 1);
+      depth = level;
+
+      counters[level] = (counters[level] || 0) + 1;
+      counters.length = level + 1;
+
+      const marker = block.ordered ? `${formatListNumber(counters[level], level)}.` : BULLETS[level % BULLETS.length];
+      const indent = ' '.repeat(LIST_INDENT * level);
+      const hanging = ' '.repeat(indent.length + marker.length + 1);
+
+      return `${indent}${marker} ${getText(entry.runs).replace(/\n/g, `\n${hanging}`)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Write a table block as a grid of fixed-width columns
+ * Merged cells span their columns and cells merged down several rows are
+ * repeated in each; header rows are ruled off with "="
+ */
+function writeTable(block) {
+  const rows = repeatRowSpans([...block.headerRows, ...block.rows]);
+  const cellColumns = getCellColumns(rows);
+  const columnCount = Math.max(
+    block.columnWidths?.length || 0,
+    ...cellColumns.flat().map(({ column, span }) => column + span)
+  );
+
+  const cellRows = rows.map((cells, rowIndex) =>
+    cells.map((cell, cellIndex) => ({
+      ...cellColumns[rowIndex][cellIndex],
+      text: [cell.image ? '[Signature]' : '', getText(cell.runs)].filter(Boolean).join('\n'),
+    }))
+  );
+
+  // Columns are as wide as their longest unwrapped line, up to the maximum
+  const widths = new Array(columnCount).fill(1);
+  for (const cell of cellRows.flat().filter(({ span }) => span === 1)) {
+    const longest = Math.max(...cell.text.split('\n').map((line) => line.length));
+    widths[cell.column] = Math.min(Math.max(widths[cell.column], longest), MAX_COLUMN_WIDTH);
+  }
+
+  const rule = (char) => `+${widths.map((width) => char.repeat(width + 2)).join('+')}+`;
+  const lines = [rule('-')];
+
+  cellRows.forEach((cells, rowIndex) => {
+    lines.push(...writeTableRow(cells, widths));
+    lines.push(rule(rowIndex === block.headerRows.length - 1 ? '=' : '-'));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Write one table row, wrapping each cell's text to its columns
+ * Columns the row has no cell for are left blank
+ */
+function writeTableRow(cells, widths) {
+  const slots = [];
+  let column = 0;
+
+  for (const cell of [...cells, { column: widths.length, span: 0, text: '' }]) {
+    for (; column < cell.column; column++) {
+      slots.push({ width: widths[column], lines: [] });
+    }
+    if (cell.span === 0) break;
+
+    // A merged cell also takes the room of the " | " separators it covers
+    const width = widths.slice(cell.column, cell.column + cell.span).reduce((sum, value) => sum + value, 0) + 3 * (cell.span - 1);
+    slots.push({ width, lines: wrapText(cell.text, width) });
+    column = cell.column + cell.span;
+  }
+
+  const height = Math.max(1, ...slots.map(({ lines }) => lines.length));
+  return Array.from({ length: height }, (_, lineIndex) =>
+    `| ${slots.map(({ width, lines }) => (lines[lineIndex] || '').padEnd(width)).join(' | ')} |`
+  );
+}
+
+/**
+ * Wrap text to a width, breaking words that are longer than a line
+ */
+function wrapText(text, width) {
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      for (let start = 0; start < word.length; start += width) {
+        const piece = word.slice(start, start + width);
+        if (line && line.length + 1 + piece.length > width) {
+          lines.push(line);
+          line = piece;
+        } else {
+          line = line ? `${line} ${piece}` : piece;
+        }
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Join the text of runs, leaving out page number fields
+ */
+function getText(runs) {
+  return runs.map((run) => (run.field ? '' : run.text)).join('');
+}
@@ -0,0 +1,87 @@
+/**
+ * Image helper functions
+ */
+
+export const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+};
+
+/**
+ * Detect image type and pixel dimensions from file contents
+ * @param {Buffer} buffer - Image file buffer
+ * @returns {Object|null} { type, contentType, width, height }, or null if not a supported image
+ */
+export function getImageInfo(buffer) {
+  if (!buffer || buffer.length < 24) return null;
+
+  // PNG: signature followed by the IHDR chunk
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return createImageInfo('png', buffer.readUInt32BE(16), buffer.readUInt32BE(20));
+  }
+
+  // GIF: logical screen size is little-endian after the header
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return createImageInfo('gif', buffer.readUInt16LE(6), buffer.readUInt16LE(8));
+  }
+
+  // BMP: width/height in the DIB header (height is negative for top-down bitmaps)
+  if (buffer.toString('ascii', 0, 2) === 'BM') {
+    return createImageInfo('bmp', buffer.readInt32LE(18), Math.abs(buffer.readInt32LE(22)));
+  }
+
+  // JPEG: walk the segments until a start-of-frame marker
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return createImageInfo('jpg', buffer.readUInt16BE(offset + 7), buffer.readUInt16BE(offset + 5));
+      }
+
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+function createImageInfo(type, width, height) {
+  return {
+    type,
+    contentType: IMAGE_CONTENT_TYPES[type],
+    width,
+    height,
+  };
+}
+
+/**
+ * Scale image dimensions to a requested width and/or height, keeping the aspect ratio
+ * when only one is given and capping the natural size at maxWidth
+ * @param {Object} image - Image info with natural width and height
+ * @param {Object} size - Requested { width, height, maxWidth } in pixels
+ * @returns {Object} { width, height } in pixels
+ */
+export function scaleImage(image, { width, height, maxWidth = 600 } = {}) {
+  const ratio = image.width && image.height ? image.height / image.width : 1;
+
+  if (width && height) {
+    return { width: Number(width), height: Number(height) };
+  }
+
+  if (width) {
+    return { width: Number(width), height: Math.round(Number(width) * ratio) };
+  }
+
+  if (height) {
+    return { width: Math.round(Number(height) / ratio), height: Number(height) };
+  }
+
+  const naturalWidth = Math.min(image.width || maxWidth, maxWidth);
+  return { width: naturalWidth, height: Math.round(naturalWidth * ratio) };
+}
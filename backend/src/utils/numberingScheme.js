@@ -0,0 +1,63 @@
+import { renderTemplate } from './templateHelpers.js';
+
+/**
+ * Document numbering schemes
+ *
+ * Checks and formatting for structure_json.metadata.numbering, kept apart from
+ * the counter in services/numberingService.js so they need no database.
+ */
+
+const RESET_PERIODS = ['never', 'yearly'];
+const MAX_PADDING = 10;
+
+/**
+ * Check a template's numbering scheme
+ * @param {Object} numbering - structure_json.metadata.numbering
+ * @param {number[]} [issuedPeriods] - Counter periods the template has already issued numbers under
+ * @returns {string[]} Error messages, empty if the scheme is valid or absent
+ */
+export function validateNumberingScheme(numbering, issuedPeriods = []) {
+  if (numbering === undefined || numbering === null) {
+    return [];
+  }
+
+  const errors = [];
+
+  if (typeof numbering.pattern !== 'string' || !/{{\s*sequence\b/.test(numbering.pattern)) {
+    errors.push('Numbering pattern must contain {{sequence}}');
+  }
+  if (numbering.padding !== undefined && !(Number.isInteger(numbering.padding) && numbering.padding >= 0 && numbering.padding <= MAX_PADDING)) {
+    errors.push(`Numbering padding must be a whole number from 0 to ${MAX_PADDING}`);
+  }
+  if (numbering.reset !== undefined && !RESET_PERIODS.includes(numbering.reset)) {
+    errors.push(`Numbering reset must be one of: ${RESET_PERIODS.join(', ')}`);
+  }
+  // Without the year, a counter that restarts would repeat last year's numbers
+  if (numbering.reset === 'yearly' && typeof numbering.pattern === 'string' && !/{{\s*year\b/.test(numbering.pattern)) {
+    errors.push('Numbering pattern must contain {{year}} when the sequence resets yearly');
+  }
+  if (numbering.start !== undefined && !(Number.isInteger(numbering.start) && numbering.start >= 1)) {
+    errors.push('Numbering start must be a whole number of at least 1');
+  }
+  // Changing the reset moves to a fresh counter, which would repeat numbers already issued
+  if (numbering.reset === 'yearly' && issuedPeriods.includes(0)) {
+    errors.push('Numbering reset cannot change to yearly once numbers have been issued without a reset');
+  }
+  if (numbering.reset !== 'yearly' && issuedPeriods.some((period) => period !== 0)) {
+    errors.push('Numbering reset cannot change to never once numbers have been issued with a yearly reset');
+  }
+
+  return errors;
+}
+
+/**
+ * Build a document number from a scheme and counter value
+ * @param {Object} numbering - Numbering scheme
+ * @param {number} sequence - Counter value
+ * @param {Object} data - Data for the pattern's other placeholders
+ * @returns {string} Document number
+ */
+export function formatDocumentNumber(numbering, sequence, data = {}) {
+  const padded = String(sequence).padStart(numbering.padding || 0, '0');
+  return renderTemplate(numbering.pattern, { ...data, sequence: padded }).trim();
+}
@@ -0,0 +1,175 @@
+/**
+ * Placeholder filters and missing-value handling for the {{placeholder}} template language
+ *
+ * A placeholder is a data path followed by optional pipe filters:
+ *   {{ start_date | date:"DD/MM/YYYY" }}
+ *   {{ client_name | upper | default:"N/A" }}
+ *   {{ attendees | join:", " }}
+ *   {{ total_cost | currency:"AUD" }}
+ *
+ * The date, number and currency filters follow the template's formatting settings
+ * (locale, time zone, date format and currency) unless given explicit arguments;
+ * without a format argument or template date format, dates use the locale's short style.
+ */
+
+import { DEFAULT_FORMATTING, formatDate, formatNumber, formatCurrency } from 'document-template-generator-shared';
+
+const MISSING_VALUE_POLICIES = ['blank', 'placeholder', 'error'];
+
+/**
+ * Raised when a placeholder has no value and the missing-value policy is "error"
+ */
+export class MissingValueError extends Error {
+  constructor(paths) {
+    const missing = [].concat(paths);
+    super(`No value provided for ${missing.map((path) => `"${path}"`).join(', ')}`);
+    this.name = 'MissingValueError';
+    this.code = 'MISSING_TEMPLATE_VALUE';
+    this.statusCode = 400;
+    this.paths = missing;
+  }
+}
+
+/**
+ * Available filters: (value, args, formatting) => value
+ * Filters other than "default" pass missing values through unchanged
+ */
+export const FILTERS = {
+  upper: (value) => (isMissing(value) ? value : String(value).toUpperCase()),
+  lower: (value) => (isMissing(value) ? value : String(value).toLowerCase()),
+  capitalize: (value) => (isMissing(value) ? value : String(value).replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase())),
+  trim: (value) => (isMissing(value) ? value : String(value).trim()),
+  default: (value, [fallback = '']) => (isMissing(value) || (Array.isArray(value) && value.length === 0) ? fallback : value),
+  join: (value, [separator = ', ', key]) => {
+    if (!Array.isArray(value)) return value;
+    return value
+      .map((element) => (key && element && typeof element === 'object' ? element[key] : element))
+      .filter((element) => !isMissing(element))
+      .join(separator);
+  },
+  date: (value, [format], formatting) => formatDate(value, formatting, format || undefined) ?? value,
+  number: (value, [decimals], formatting) => formatNumber(value, formatting, decimals) ?? value,
+  currency: (value, [currency], formatting) => formatCurrency(value, formatting, currency || formatting.currency) ?? value,
+};
+
+/**
+ * Parse a placeholder expression into its path and filters
+ * @param {string} expression - Text between {{ and }}, e.g. 'start_date | date:"DD/MM/YYYY"'
+ * @returns {Object} { path, filters: [{ name, args }] }
+ */
+export function parsePlaceholder(expression) {
+  const [path, ...filterTexts] = splitOutsideQuotes(expression, '|');
+
+  const filters = filterTexts.map((filterText) => {
+    const separator = filterText.indexOf(':');
+    const name = (separator === -1 ? filterText : filterText.slice(0, separator)).trim();
+    const args = separator === -1 ? [] : splitOutsideQuotes(filterText.slice(separator + 1), ',').map(parseArgument);
+    return { name, args };
+  });
+
+  return { path: path.trim(), filters };
+}
+
+/**
+ * Apply parsed filters to a value
+ * @param {*} value - Resolved placeholder value
+ * @param {Array<Object>} filters - Filters from parsePlaceholder
+ * @param {Object} formatting - Formatting settings from resolveFormatting
+ * @returns {*} Filtered value
+ */
+export function applyFilters(value, filters, formatting = DEFAULT_FORMATTING) {
+  return filters.reduce((current, { name, args }) => {
+    const filter = FILTERS[name];
+    if (!filter) {
+      console.warn(`Unknown template filter: ${name}`);
+      return current;
+    }
+    return filter(current, args, formatting);
+  }, value);
+}
+
+/**
+ * Normalise a missing-value setting from structure_json.metadata.missingValues
+ * Accepts a policy name or { policy, text }; "text" is shown by the placeholder
+ * policy, with {field} replaced by the placeholder's path
+ * @param {string|Object} setting - Missing-value setting
+ * @returns {Object} { policy, text }
+ */
+export function getMissingValuePolicy(setting) {
+  const { policy = 'blank', text } = typeof setting === 'string' ? { policy: setting } : setting || {};
+
+  if (!MISSING_VALUE_POLICIES.includes(policy)) {
+    console.warn(`Unknown missing value policy: ${policy}`);
+    return { policy: 'blank' };
+  }
+
+  return { policy, text };
+}
+
+/**
+ * Produce the output for a placeholder without a value
+ * @param {Object} missingValues - Policy from getMissingValuePolicy
+ * @param {string} path - Placeholder path
+ * @param {string} placeholder - Original placeholder text, used when no text is configured
+ * @returns {string} Replacement text
+ * @throws {MissingValueError} When the policy is "error"
+ */
+export function resolveMissingValue(missingValues, path, placeholder) {
+  switch (missingValues?.policy) {
+    case 'error':
+      throw new MissingValueError(path);
+    case 'placeholder':
+      return missingValues.text ? missingValues.text.replace(/{field}/g, path) : placeholder;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Check whether a placeholder value counts as missing
+ */
+export function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Split text on a separator, ignoring separators inside quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\' && i + 1 < text.length) {
+        current += char + text[i + 1];
+        i++;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a filter argument: a quoted string or a bare word/number
+ */
+function parseArgument(text) {
+  const trimmed = text.trim();
+  const quoted = trimmed.match(/^(["'])(.*)\1$/s);
+  return quoted ? quoted[2].replace(/\\(.)/g, '$1') : trimmed;
+}
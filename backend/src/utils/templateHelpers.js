@@ -1,112 +1,303 @@
+import { getNestedValue, evaluateCondition, isFieldVisible, formatDate as formatDateValue, getToday } from 'document-template-generator-shared';
+import { parsePlaceholder, applyFilters, isMissing, resolveMissingValue } from './templateFilters.js';
+
 /**
  * Template helper functions
  */
 
+// Condition logic and today's date come from the shared package so the form and the generator agree
+export { getNestedValue, evaluateCondition, isFieldVisible, getToday };
+
+// Boilerplate can reference other boilerplate; stop expanding after this many levels
+const MAX_BOILERPLATE_DEPTH = 3;
+
 /**
- * Get nested value from object using dot notation path
- * @param {Object} obj - The object to search
- * @param {string} path - Dot notation path (e.g., "user.profile.name")
- * @returns {*} The value at the path, or undefined
+ * Pick the text of a boilerplate block for the given data
+ *
+ * A block is either a string or { default, variants, variantField, variantConditions }.
+ * The variant named by the value of variantField wins, then the first entry of
+ * variantConditions ({ variant, condition }) whose condition holds, then the default.
+ *
+ * @param {string|Object} block - Boilerplate block
+ * @param {Object} data - Data used to choose the variant
+ * @returns {string|undefined} Block text
  */
-export function getNestedValue(obj, path) {
-  if (!path) return undefined;
-  return path.split('.').reduce((current, key) => current?.[key], obj);
+export function resolveBoilerplate(block, data) {
+  if (block === undefined || block === null || typeof block !== 'object') {
+    return block ?? undefined;
+  }
+
+  const variants = block.variants || {};
+
+  if (block.variantField) {
+    const selected = getNestedValue(data, block.variantField);
+    if (selected !== undefined && variants[selected] !== undefined) {
+      return variants[selected];
+    }
+  }
+
+  for (const { variant, condition } of block.variantConditions || []) {
+    if (variants[variant] !== undefined && evaluateCondition(condition, data)) {
+      return variants[variant];
+    }
+  }
+
+  return block.default;
+}
+
+/**
+ * Look up boilerplate text by reference: "block_id" resolves the block's variant
+ * for the data, "block_id.variant_name" picks a variant explicitly
+ */
+function getBoilerplateText(boilerplate, path, data) {
+  const value = getNestedValue(boilerplate, path);
+  if (value !== undefined) {
+    return resolveBoilerplate(value, data);
+  }
+
+  const [blockId, variant] = path.split('.');
+  return getNestedValue(boilerplate, blockId)?.variants?.[variant];
+}
+
+/**
+ * Resolve every boilerplate block to its text for the given data
+ * @param {Object} blocks - content_json.blocks
+ * @param {Object} data - Data used to choose variants
+ * @returns {Object} Map of block id to text
+ */
+export function resolveBoilerplateBlocks(blocks = {}, data = {}) {
+  return Object.fromEntries(
+    Object.entries(blocks).map(([id, block]) => [id, resolveBoilerplate(block, data)])
+  );
+}
+
+/**
+ * Check whether a content_json conditional section's trigger matches
+ * Triggers are conditions; a trigger without an operator means "equals"
+ * @param {Object} conditionalSection - Conditional section with a trigger
+ * @param {Object} data - Data to evaluate against
+ * @returns {boolean} True if the section should be included
+ */
+export function isConditionalSectionTriggered(conditionalSection, data) {
+  const trigger = conditionalSection?.trigger;
+  if (!trigger) return true;
+
+  return evaluateCondition({ operator: 'equals', ...trigger }, data);
 }
 
 /**
  * Render template string with data substitution
+ *
+ * Placeholders may pipe their value through filters ({{ start_date | date:"DD/MM/YYYY" }});
+ * see templateFilters.js. Placeholders without a value are handled by the
+ * missing-value policy: blank (default), placeholder text, or an error.
+ *
  * @param {string} template - Template string with {{variable}} placeholders
  * @param {Object} data - Data object
  * @param {Object} boilerplate - Boilerplate content object
+ * @param {Object} options - { missingValues } from getMissingValuePolicy and { formatting } from resolveFormatting
  * @returns {string} Rendered string
+ * @throws {MissingValueError} When a value is missing and the policy is "error"
  */
-export function renderTemplate(template, data, boilerplate = {}) {
+export function renderTemplate(template, data, boilerplate = {}, options = {}) {
   if (!template || typeof template !== 'string') {
     return template;
   }
 
-  return template.replace(/{{([^}]+)}}/g, (match, path) => {
-    const trimmedPath = path.trim();
+  const depth = options.depth || 0;
 
-    // Handle boilerplate references
-    if (trimmedPath.startsWith('boilerplate.')) {
-      const boilerplatePath = trimmedPath.substring(12);
-      const value = getNestedValue(boilerplate, boilerplatePath);
-      return value !== undefined ? value : match;
+  return template.replace(/{{([^}]+)}}/g, (match, expression) => {
+    const { path, filters } = parsePlaceholder(expression);
+    let value;
+
+    // Handle boilerplate references; boilerplate text may itself contain placeholders
+    if (path.startsWith('boilerplate.')) {
+      value = getBoilerplateText(boilerplate, path.substring(12), data);
+      if (value !== undefined && depth < MAX_BOILERPLATE_DEPTH) {
+        value = renderTemplate(value, data, boilerplate, { ...options, depth: depth + 1 });
+      }
+    } else {
+      // Handle regular data references
+      value = getNestedValue(data, path);
     }
 
-    // Handle regular data references
-    const value = getNestedValue(data, trimmedPath);
-    return value !== undefined ? value : match;
+    value = applyFilters(value, filters, options.formatting);
+    return isMissing(value) ? resolveMissingValue(options.missingValues, path, match) : value;
   });
 }
 
 /**
- * Evaluate conditional logic
- * @param {Object} condition - Condition object with field, operator, value
- * @param {Object} data - Data to evaluate against
- * @returns {boolean} True if condition is met
+ * Page number fields usable in templates ({{PAGE}} and {{NUMPAGES}}, as in Word)
+ */
+export const PAGE_FIELDS = ['PAGE', 'NUMPAGES'];
+
+/**
+ * Split a template into literal text and page number field segments
+ * @param {string} template - Template string that may contain {{PAGE}} / {{NUMPAGES}}
+ * @returns {Array<Object>} Segments of { type: 'text', value } or { type: 'field', field }
  */
-export function evaluateCondition(condition, data) {
-  if (!condition || !condition.field) return true;
-
-  const { field, operator, value } = condition;
-  const fieldValue = getNestedValue(data, field);
-
-  switch (operator) {
-    case 'equals':
-      return fieldValue === value;
-    case 'not_equals':
-      return fieldValue !== value;
-    case 'greater_than':
-      return fieldValue > value;
-    case 'less_than':
-      return fieldValue < value;
-    case 'contains':
-      return Array.isArray(fieldValue) ? fieldValue.includes(value) : String(fieldValue).includes(value);
-    case 'not_contains':
-      return Array.isArray(fieldValue) ? !fieldValue.includes(value) : !String(fieldValue).includes(value);
-    default:
-      return true;
+export function splitPageFields(template) {
+  if (!template || typeof template !== 'string') {
+    return [];
+  }
+
+  const segments = [];
+  const pattern = new RegExp(`{{\\s*(${PAGE_FIELDS.join('|')})\\s*}}`, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: 'field', field: match[1] });
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < template.length) {
+    segments.push({ type: 'text', value: template.slice(lastIndex) });
   }
+
+  return segments;
 }
 
 /**
- * Check if a field should be visible based on conditional logic
- * @param {Object} field - Field definition with optional conditional property
- * @param {Object} formData - Current form data
- * @returns {boolean} True if field should be visible
+ * Named colours accepted by [color=...] markup (hex values without #)
  */
-export function isFieldVisible(field, formData) {
-  if (!field.conditional || !field.conditional.show_when) {
-    return true;
-  }
+export const INLINE_COLORS = {
+  black: '000000',
+  red: 'FF0000',
+  green: '00B050',
+  blue: '0070C0',
+  amber: 'FFC000',
+  orange: 'FFA500',
+  grey: '808080',
+  gray: '808080',
+};
+
+const INLINE_TAG_PATTERN = /^\[(\/?)(u|sup|sub|color)(?:=(#?\w+))?\]/;
+
+/**
+ * Resolve a named or hex colour to a 6-digit hex string
+ * @param {string} color - Colour name or hex value
+ * @returns {string|null} Hex colour without #, or null if unrecognised
+ */
+export function resolveInlineColor(color) {
+  if (!color) return null;
+
+  const named = INLINE_COLORS[color.toLowerCase()];
+  if (named) return named;
 
-  return evaluateCondition(field.conditional.show_when, formData);
+  const hex = color.replace(/^#/, '');
+  return /^[0-9a-fA-F]{6}$/.test(hex) ? hex.toUpperCase() : null;
 }
 
 /**
- * Format date to locale string
- * @param {string|Date} date - Date to format
- * @param {string} locale - Locale string (default: 'en-US')
- * @returns {string} Formatted date
+ * Parse inline formatting markup into formatted runs
+ *
+ * Supported markup: **bold**, _italic_, [u]underline[/u], [sup]superscript[/sup],
+ * [sub]subscript[/sub] and [color=red]...[/color] (named or hex colours).
+ * A backslash escapes *, _, [ and \. {{placeholders}} are kept intact in the run
+ * text and must be substituted afterwards, so user data is never parsed as markup.
+ *
+ * @param {string} template - Template string with inline markup
+ * @returns {Array<Object>} Runs of { text, bold, italics, underline, superScript, subScript, color }
  */
-export function formatDate(date, locale = 'en-US') {
-  if (!date) return '';
-  
-  try {
-    const dateObj = date instanceof Date ? date : new Date(date);
-    return dateObj.toLocaleDateString(locale);
-  } catch (error) {
-    return String(date);
+export function parseInlineMarkup(template) {
+  if (!template || typeof template !== 'string') {
+    return [];
   }
+
+  const runs = [];
+  const state = { bold: false, italics: false, underline: false, superScript: false, subScript: false };
+  const colors = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      runs.push({ text: buffer, ...state, color: colors[colors.length - 1] || null });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < template.length) {
+    const char = template[i];
+    const rest = template.slice(i);
+
+    if (char === '\\' && /[*_[\\]/.test(template[i + 1] || '')) {
+      buffer += template[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (rest.startsWith('{{')) {
+      const end = template.indexOf('}}', i);
+      if (end !== -1) {
+        buffer += template.slice(i, end + 2);
+        i = end + 2;
+        continue;
+      }
+    }
+
+    if (rest.startsWith('**')) {
+      flush();
+      state.bold = !state.bold;
+      i += 2;
+      continue;
+    }
+
+    // Underscores only toggle italics at word boundaries, so snake_case text is left alone
+    if (char === '_') {
+      const prev = template[i - 1] || '';
+      const next = template[i + 1] || '';
+      const opens = !state.italics && !/\w/.test(prev) && next !== '' && !/\s/.test(next);
+      const closes = state.italics && !/\w/.test(next);
+
+      if (opens || closes) {
+        flush();
+        state.italics = !state.italics;
+        i += 1;
+        continue;
+      }
+    }
+
+    const tag = rest.match(INLINE_TAG_PATTERN);
+    if (tag) {
+      const [tagText, closing, name, argument] = tag;
+      flush();
+
+      if (name === 'color') {
+        if (closing) {
+          colors.pop();
+        } else {
+          colors.push(resolveInlineColor(argument));
+        }
+      } else {
+        const key = { u: 'underline', sup: 'superScript', sub: 'subScript' }[name];
+        state[key] = !closing;
+      }
+
+      i += tagText.length;
+      continue;
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  return runs;
 }
 
 /**
- * Get today's date as ISO string
- * @returns {string} Today's date in YYYY-MM-DD format
+ * Format a date for a document
+ * @param {string|Date} date - Date to format
+ * @param {Object} formatting - Formatting settings from resolveFormatting
+ * @returns {string} Formatted date, or the value as text if it is not a date
  */
-export function getToday() {
-  return new Date().toISOString().split('T')[0];
-}
+export function formatDate(date, formatting) {
+  if (!date) return '';
 
+  return formatDateValue(date, formatting) ?? String(date);
+}
@@ -1,9 +1,13 @@
+import { validateUserData } from 'document-template-generator-shared';
+
 /**
  * Validation utilities
  */
 
 const ALLOWED_FILE_TYPES = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/bmp'];
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
 
 export function validateDocxFile(file) {
   const errors = [];
@@ -27,6 +31,28 @@ export function validateDocxFile(file) {
   };
 }
 
+export function validateImageFile(file) {
+  const errors = [];
+
+  if (!file) {
+    errors.push('No file provided');
+    return { valid: false, errors };
+  }
+
+  if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+    errors.push('File must be a PNG, JPEG, GIF or BMP image');
+  }
+
+  if (file.size > MAX_IMAGE_SIZE) {
+    errors.push(`Image size must be less than ${MAX_IMAGE_SIZE / 1024 / 1024}MB`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
 export function validateTemplateData(data) {
   const errors = [];
 
@@ -56,61 +82,5 @@ export function validateTemplateData(data) {
   };
 }
 
-export function validateUserData(data, schema) {
-  const errors = [];
-
-  if (!schema || !schema.sections) {
-    return { valid: true, errors }; // Can't validate without schema
-  }
-
-  // Validate required fields
-  schema.sections.forEach(section => {
-    section.fields?.forEach(field => {
-      if (field.required && !data[field.id]) {
-        errors.push(`Field "${field.label}" is required`);
-      }
-
-      // Type-specific validation
-      if (data[field.id] !== undefined) {
-        switch (field.type) {
-          case 'number':
-            if (isNaN(data[field.id])) {
-              errors.push(`Field "${field.label}" must be a number`);
-            }
-            if (field.validation?.min !== undefined && data[field.id] < field.validation.min) {
-              errors.push(`Field "${field.label}" must be at least ${field.validation.min}`);
-            }
-            if (field.validation?.max !== undefined && data[field.id] > field.validation.max) {
-              errors.push(`Field "${field.label}" must be at most ${field.validation.max}`);
-            }
-            break;
-
-          case 'text':
-          case 'textarea':
-            if (typeof data[field.id] !== 'string') {
-              errors.push(`Field "${field.label}" must be text`);
-            }
-            if (field.validation?.minLength && data[field.id].length < field.validation.minLength) {
-              errors.push(`Field "${field.label}" must be at least ${field.validation.minLength} characters`);
-            }
-            if (field.validation?.maxLength && data[field.id].length > field.validation.maxLength) {
-              errors.push(`Field "${field.label}" must be at most ${field.validation.maxLength} characters`);
-            }
-            break;
-
-          case 'table':
-            if (!Array.isArray(data[field.id])) {
-              errors.push(`Field "${field.label}" must be a table (array)`);
-            }
-            break;
-        }
-      }
-    });
-  });
-
-  return {
-    valid: errors.length === 0,
-    errors,
-  };
-}
-
+// User data validation is shared with the form so both report the same errors
+export { validateUserData };
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PizZip from 'pizzip';
+import { Document, Packer, Paragraph, Table, TableRow, TableCell } from 'docx';
+import { buildMasterFromExample } from '../src/services/masterTemplateBuilder.js';
+
+const SCHEMA = {
+  sections: [
+    {
+      id: 'hazards',
+      fields: [{ id: 'hazards', type: 'table', columns: [{ key: 'hazard' }, { key: 'hours' }] }],
+    },
+  ],
+};
+
+/**
+ * Build a document holding one table with the given rows of cell text
+ */
+function buildDocx(rows) {
+  const table = new Table({
+    rows: rows.map((cells) => new TableRow({ children: cells.map((text) => new TableCell({ children: [new Paragraph(text)] })) })),
+  });
+  return Packer.toBuffer(new Document({ sections: [{ children: [table] }] }));
+}
+
+/**
+ * Build a document holding the given paragraphs
+ */
+function buildParagraphDocx(texts) {
+  return Packer.toBuffer(new Document({ sections: [{ children: texts.map((text) => new Paragraph(text)) }] }));
+}
+
+/**
+ * Read the text of each paragraph in the master
+ */
+function readParagraphs(buffer) {
+  const xml = new PizZip(buffer).file('word/document.xml').asText();
+  return [...xml.matchAll(/<w:p>([\s\S]*?)<\/w:p>/g)].map(([, paragraph]) =>
+    [...paragraph.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(([, text]) => text.replace(/&quot;/g, '"')).join('')
+  );
+}
+
+/**
+ * Read the text of each table row in the master, cells joined with "|"
+ */
+function readRows(buffer) {
+  const xml = new PizZip(buffer).file('word/document.xml').asText();
+  return [...xml.matchAll(/<w:tr>([\s\S]*?)<\/w:tr>/g)].map(([, row]) =>
+    [...row.matchAll(/<w:tc>([\s\S]*?)<\/w:tc>/g)]
+      .map(([, cell]) => [...cell.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(([, text]) => text).join(''))
+      .join('|')
+  );
+}
+
+test('replaces the example rows with a row loop', async () => {
+  const example = await buildDocx([['Hazard', 'Hours'], ['Slips', '2'], ['Noise', '3'], ['Total', '5']]);
+  const { buffer } = buildMasterFromExample(example, SCHEMA, { tables: { hazards: [['Slips', '2'], ['Noise', '3']] } });
+
+  assert.deepEqual(readRows(buffer), ['Hazard|Hours', '{#hazards}{hazard}|{hours}{/hazards}', 'Total|5']);
+});
+
+test('keeps rows that are not the next example row', async () => {
+  const example = await buildDocx([['Hazard', 'Hours'], ['Slips', '2'], ['Total', '2'], ['Noise', '3']]);
+  const { buffer } = buildMasterFromExample(example, SCHEMA, { tables: { hazards: [['Slips', '2'], ['Noise', '3']] } });
+
+  assert.deepEqual(readRows(buffer), ['Hazard|Hours', '{#hazards}{hazard}|{hours}{/hazards}', 'Total|2', 'Noise|3']);
+});
+
+test('formats date and number fields the way the example shows them', async () => {
+  const schema = {
+    sections: [
+      {
+        id: 'job',
+        fields: [
+          { id: 'start_date', type: 'date' },
+          { id: 'end_date', type: 'date' },
+          { id: 'hours', type: 'number' },
+          { id: 'client', type: 'text' },
+        ],
+      },
+    ],
+  };
+  const example = await buildParagraphDocx(['Start: 14/03/2026', 'End: 2 April 2026', 'Hours: 7.5', 'Client: Acme Pty']);
+  const { buffer } = buildMasterFromExample(example, schema, {
+    fields: { start_date: '14/03/2026', end_date: '2 April 2026', hours: '7.5', client: 'Acme Pty' },
+  });
+
+  assert.deepEqual(readParagraphs(buffer), [
+    'Start: {start_date | date:"DD/MM/YYYY"}',
+    'End: {end_date | date:"D MMMM YYYY"}',
+    'Hours: {hours | number:1}',
+    'Client: {client}',
+  ]);
+});
+
+test('leaves the loop tags alone when a field value matches their text', async () => {
+  const schema = { sections: [...SCHEMA.sections, { id: 'job', fields: [{ id: 'category', type: 'text' }] }] };
+  const example = await buildDocx([['Hazard', 'Hours'], ['Slips', '2']]);
+  const { buffer } = buildMasterFromExample(example, schema, {
+    fields: { category: 'hazard' },
+    tables: { hazards: [['Slips', '2']] },
+  });
+
+  assert.deepEqual(readRows(buffer), ['Hazard|Hours', '{#hazards}{hazard}|{hours}{/hazards}']);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNumberingScheme, formatDocumentNumber } from '../src/utils/numberingScheme.js';
+
+test('accepts a yearly reset when the pattern includes the year', () => {
+  assert.deepEqual(validateNumberingScheme({ pattern: 'SWMS-{{year}}-{{sequence}}', padding: 4, reset: 'yearly' }), []);
+  assert.deepEqual(validateNumberingScheme({ pattern: 'SWMS-{{ year }}/{{sequence}}', reset: 'yearly' }), []);
+});
+
+test('rejects a yearly reset when the pattern has no year', () => {
+  assert.deepEqual(validateNumberingScheme({ pattern: 'DOC-{{sequence}}', padding: 4, reset: 'yearly' }), [
+    'Numbering pattern must contain {{year}} when the sequence resets yearly',
+  ]);
+});
+
+test('allows a pattern without the year when the sequence never resets', () => {
+  assert.deepEqual(validateNumberingScheme({ pattern: 'DOC-{{sequence}}' }), []);
+  assert.deepEqual(validateNumberingScheme({ pattern: 'DOC-{{sequence}}', reset: 'never' }), []);
+});
+
+test('formats the sequence with its padding', () => {
+  assert.equal(formatDocumentNumber({ pattern: 'SWMS-{{year}}-{{sequence}}', padding: 4 }, 12, { year: '2026' }), 'SWMS-2026-0012');
+});
+
+test('rejects a reset change once numbers have been issued', () => {
+  assert.deepEqual(validateNumberingScheme({ pattern: 'SWMS-{{year}}-{{sequence}}', reset: 'yearly' }, [0]), [
+    'Numbering reset cannot change to yearly once numbers have been issued without a reset',
+  ]);
+  assert.deepEqual(validateNumberingScheme({ pattern: 'SWMS-{{year}}-{{sequence}}' }, [2025, 2026]), [
+    'Numbering reset cannot change to never once numbers have been issued with a yearly reset',
+  ]);
+});
+
+test('accepts pattern changes that keep the reset', () => {
+  assert.deepEqual(validateNumberingScheme({ pattern: 'JSA-{{year}}-{{sequence}}', reset: 'yearly' }, [2025, 2026]), []);
+  assert.deepEqual(validateNumberingScheme({ pattern: 'JSA-{{sequence}}', padding: 5 }, [0]), []);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repeatRowSpans } from '../src/services/writers/tableGrid.js';
+import { writeMarkdown } from '../src/services/writers/markdownWriter.js';
+import { writeText } from '../src/services/writers/textWriter.js';
+
+const cell = (text, spans = {}) => ({ runs: [{ text }], ...spans });
+
+// A hazards table whose "Area" column was merged down by mergeColumns
+const TABLE = {
+  type: 'table',
+  headerRows: [[cell('Area'), cell('Hazard')]],
+  rows: [[cell('Workshop', { rowSpan: 2 }), cell('Noise')], [cell('Dust')], [cell('Yard'), cell('Traffic')]],
+  columnWidths: null,
+};
+
+/**
+ * Wrap a block in a render tree with no headers or footers
+ */
+function buildTree(block) {
+  return { headers: {}, footers: {}, sections: [{ children: [block] }] };
+}
+
+test('repeats a merged cell in each row it covers', () => {
+  const rows = repeatRowSpans(TABLE.rows);
+
+  assert.deepEqual(rows.map((cells) => cells.map(({ runs }) => runs[0].text)), [
+    ['Workshop', 'Noise'],
+    ['Workshop', 'Dust'],
+    ['Yard', 'Traffic'],
+  ]);
+  assert.equal(rows[1][0].rowSpan, 1);
+});
+
+test('writes the merged value in covered Markdown rows', () => {
+  assert.match(writeMarkdown(buildTree(TABLE)), /\| Workshop \| Dust \|/);
+});
+
+test('writes the merged value in covered text rows', () => {
+  assert.match(writeText(buildTree(TABLE)), /\| Workshop +\| Dust +\|/);
+});
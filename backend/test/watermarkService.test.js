@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PizZip from 'pizzip';
+import { Document, Packer, Paragraph, Header } from 'docx';
+import { applyWatermark } from '../src/services/watermarkService.js';
+
+const WATERMARK = { text: 'DRAFT', color: 'C0C0C0' };
+
+/**
+ * Build a one-section document with the given headers
+ */
+function buildDocx(headers, options = {}) {
+  const doc = new Document({
+    ...options,
+    sections: [
+      {
+        headers: Object.fromEntries(
+          Object.entries(headers).map(([type, text]) => [type, new Header({ children: [new Paragraph(text)] })])
+        ),
+        children: [new Paragraph('Body')],
+      },
+    ],
+  });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Map each header reference type of the document's section to the text of its header part
+ */
+function readHeaders(buffer) {
+  const zip = new PizZip(buffer);
+  const relationships = zip.file('word/_rels/document.xml.rels').asText();
+  const sectionProperties = zip.file('word/document.xml').asText().match(/<w:sectPr[\s\S]*?<\/w:sectPr>/)[0];
+
+  return Object.fromEntries(
+    [...sectionProperties.matchAll(/<w:headerReference w:type="(\w+)" r:id="(\w+)"\/>/g)].map(([, type, id]) => {
+      const target = relationships.match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)"`))[1];
+      return [type, zip.file(`word/${target}`).asText()];
+    })
+  );
+}
+
+test('watermarks the default header', async () => {
+  const headers = readHeaders(applyWatermark(await buildDocx({ default: 'Company' }), WATERMARK));
+
+  assert.deepEqual(Object.keys(headers), ['default']);
+  assert.match(headers.default, /string="DRAFT"/);
+});
+
+test('adds a watermarked even-page header when even and odd headers differ', async () => {
+  const buffer = await buildDocx({ default: 'Company' }, { evenAndOddHeaderAndFooters: true });
+  const headers = readHeaders(applyWatermark(buffer, WATERMARK));
+
+  assert.deepEqual(Object.keys(headers).sort(), ['default', 'even']);
+  assert.match(headers.default, /string="DRAFT"/);
+  assert.match(headers.even, /string="DRAFT"/);
+});
+
+test('watermarks an existing even-page header', async () => {
+  const buffer = await buildDocx({ default: 'Odd', even: 'Even' }, { evenAndOddHeaderAndFooters: true });
+  const headers = readHeaders(applyWatermark(buffer, WATERMARK));
+
+  assert.match(headers.even, /Even[\s\S]*string="DRAFT"/);
+});
+
+test('leaves even pages alone when they share the default header', async () => {
+  const headers = readHeaders(applyWatermark(await buildDocx({ default: 'Company' }), WATERMARK));
+
+  assert.equal(headers.even, undefined);
+});
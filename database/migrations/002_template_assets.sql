@@ -0,0 +1,51 @@
+-- Template image assets (logos, site maps, photos)
+-- Run this migration in your Supabase SQL editor after 001_initial_schema.sql
+
+CREATE TABLE IF NOT EXISTS template_assets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+
+  -- Asset data
+  name VARCHAR(100) NOT NULL, -- referenced from structure_json, e.g. "company_logo"
+  file_path TEXT NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  width INTEGER, -- natural size in pixels
+  height INTEGER,
+
+  -- Metadata
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (template_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_assets_template_id ON template_assets(template_id);
+
+-- Row Level Security (RLS) Policies
+
+ALTER TABLE template_assets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own template assets"
+  ON template_assets FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own template assets"
+  ON template_assets FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own template assets"
+  ON template_assets FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own template assets"
+  ON template_assets FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_template_assets_updated_at
+  BEFORE UPDATE ON template_assets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE template_assets IS 'Image assets uploaded against a template and referenced by image content items';
@@ -0,0 +1,6 @@
+-- Example values seen in each uploaded document, used to derive a tagged master .docx
+-- Run this migration in your Supabase SQL editor after 002_template_assets.sql
+
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS example_values_json JSONB;
+
+COMMENT ON COLUMN upload_sessions.example_values_json IS 'Per-document literal values of the detected fields, in upload order';
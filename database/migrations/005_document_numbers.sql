@@ -0,0 +1,47 @@
+-- Auto-incrementing document reference numbers, e.g. SWMS-2026-0042
+-- Run this migration in your Supabase SQL editor after 004_user_settings.sql
+--
+-- The numbering scheme lives in each template's structure_json.metadata.numbering;
+-- this table only holds the counters.
+
+CREATE TABLE IF NOT EXISTS document_counters (
+  template_id UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+  period INTEGER NOT NULL DEFAULT 0, -- the year for yearly numbering, 0 when numbers never reset
+  last_value INTEGER NOT NULL,
+
+  -- Metadata
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (template_id, period)
+);
+
+-- Counters are only changed through allocate_document_number by the backend
+ALTER TABLE document_counters ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_document_counters_updated_at
+  BEFORE UPDATE ON document_counters
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Take the next number for a template and period in a single statement, so two
+-- documents generated at the same time never get the same number
+CREATE OR REPLACE FUNCTION allocate_document_number(p_template_id UUID, p_period INTEGER, p_start INTEGER DEFAULT 1)
+RETURNS INTEGER AS $$
+  INSERT INTO document_counters (template_id, period, last_value)
+  VALUES (p_template_id, p_period, p_start)
+  ON CONFLICT (template_id, period)
+  DO UPDATE SET last_value = GREATEST(document_counters.last_value + 1, p_start)
+  RETURNING last_value;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION allocate_document_number(UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS document_number VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generated_docs_template_number
+  ON generated_documents(template_id, document_number)
+  WHERE document_number IS NOT NULL;
+
+COMMENT ON TABLE document_counters IS 'Last document number issued per template and numbering period';
+COMMENT ON COLUMN generated_documents.document_number IS 'Reference number allocated at generation, available to templates as {{document.number}}';
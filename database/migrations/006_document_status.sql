@@ -0,0 +1,6 @@
+-- Document status and revision for document control blocks and draft watermarks
+-- Run this migration in your Supabase SQL editor after 005_document_numbers.sql
+
+ALTER TABLE generated_documents
+  ADD COLUMN IF NOT EXISTS status VARCHAR(50) NOT NULL DEFAULT 'final', -- draft, final
+  ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1; -- incremented on each regeneration
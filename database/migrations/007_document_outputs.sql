@@ -0,0 +1,5 @@
+-- Extra output formats (e.g. PDF) saved alongside a generated document's .docx
+-- Run this migration in your Supabase SQL editor after 006_document_status.sql
+
+ALTER TABLE generated_documents
+  ADD COLUMN IF NOT EXISTS output_files_json JSONB NOT NULL DEFAULT '{}'; -- format -> storage URL, e.g. { "pdf": "..." }
@@ -4,7 +4,9 @@ import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import CreateTemplate from './pages/CreateTemplate';
 import FillForm from './pages/FillForm';
+import EditTemplate from './pages/EditTemplate';
 import Templates from './pages/Templates';
+import Settings from './pages/Settings';
 import './App.css';
 
 function App() {
@@ -44,6 +46,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/templates/:templateId/edit"
+          element={
+            <ProtectedRoute>
+              <EditTemplate />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/settings"
+          element={
+            <ProtectedRoute>
+              <Settings />
+            </ProtectedRoute>
+          }
+        />
         <Route path="/" element={<Navigate to="/dashboard" replace />} />
       </Routes>
     </Router>
@@ -0,0 +1,25 @@
+function ComputedField({ field, value }) {
+  const displayValue = value === null || value === undefined ? '' : String(value);
+
+  return (
+    <div className="form-field">
+      <label htmlFor={field.id} className="form-label">
+        {field.label}
+      </label>
+      
+      <input
+        id={field.id}
+        type="text"
+        className="form-input form-input-computed"
+        value={displayValue}
+        placeholder={field.placeholder || 'Calculated automatically'}
+        readOnly
+        tabIndex={-1}
+      />
+      
+      {field.helpText && <span className="form-help">{field.helpText}</span>}
+    </div>
+  );
+}
+
+export default ComputedField;
@@ -1,7 +1,9 @@
-function DateField({ field, register, errors }) {
+import { getToday, formatDate } from 'document-template-generator-shared';
+
+function DateField({ field, register, errors, validate, formatting, value }) {
   const getDefaultValue = () => {
     if (field.defaultValue === 'today') {
-      return new Date().toISOString().split('T')[0];
+      return getToday(formatting);
     }
     return field.defaultValue || '';
   };
@@ -19,10 +21,13 @@ function DateField({ field, register, errors }) {
         className="form-input"
         defaultValue={getDefaultValue()}
         {...register(field.id, {
-          required: field.required ? `${field.label} is required` : false,
+          validate,
         })}
       />
       
+      {value && (
+        <span className="form-help">Formats as {formatDate(value, formatting)}</span>
+      )}
       {field.helpText && <span className="form-help">{field.helpText}</span>}
       {errors[field.id] && (
         <span className="form-error">{errors[field.id].message}</span>
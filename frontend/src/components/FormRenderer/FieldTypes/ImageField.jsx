@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { documentsApi } from '../../../services/api';
+import './ImageField.css';
+
+function ImageField({ field, register, errors, validate, setValue }) {
+  const [image, setImage] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState('');
+
+  // Register the field so validation applies to the uploaded image
+  useEffect(() => {
+    register(field.id, {
+      validate,
+    });
+  }, [register, field]);
+
+  // Release the local preview when it is replaced or the field unmounts
+  useEffect(() => {
+    return () => {
+      if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+      }
+    };
+  }, [previewUrl]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    try {
+      setUploading(true);
+      setUploadError('');
+
+      const result = await documentsApi.uploadImage(file);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Upload failed');
+      }
+
+      setImage(result.image);
+      setPreviewUrl(URL.createObjectURL(file));
+      setValue(field.id, result.image, { shouldValidate: true });
+    } catch (error) {
+      setUploadError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemove = () => {
+    setImage(null);
+    setPreviewUrl('');
+    setValue(field.id, null, { shouldValidate: true });
+  };
+
+  return (
+    <div className="form-field image-field">
+      <label htmlFor={field.id} className="form-label">
+        {field.label}
+        {field.required && <span className="required">*</span>}
+      </label>
+
+      {image ? (
+        <div className="image-field-preview">
+          <img src={previewUrl} alt={image.name} />
+          <button
+            type="button"
+            onClick={handleRemove}
+            className="btn btn-outline btn-sm"
+          >
+            Remove
+          </button>
+        </div>
+      ) : (
+        <input
+          id={field.id}
+          type="file"
+          className="form-input"
+          accept="image/png,image/jpeg,image/gif,image/bmp"
+          onChange={handleFileChange}
+          disabled={uploading}
+        />
+      )}
+
+      {uploading && <span className="form-help">Uploading...</span>}
+      {field.helpText && <span className="form-help">{field.helpText}</span>}
+      {uploadError && <span className="form-error">{uploadError}</span>}
+      {errors[field.id] && (
+        <span className="form-error">{errors[field.id].message}</span>
+      )}
+    </div>
+  );
+}
+
+export default ImageField;
@@ -1,4 +1,8 @@
-function NumberField({ field, register, errors }) {
+import { formatNumber } from 'document-template-generator-shared';
+
+function NumberField({ field, register, errors, validate, formatting, value }) {
+  const formatted = formatNumber(value, formatting);
+
   return (
     <div className="form-field">
       <label htmlFor={field.id} className="form-label">
@@ -9,22 +13,18 @@ function NumberField({ field, register, errors }) {
       <input
         id={field.id}
         type="number"
+        lang={formatting.locale}
         className="form-input"
         placeholder={field.placeholder}
         {...register(field.id, {
-          required: field.required ? `${field.label} is required` : false,
           valueAsNumber: true,
-          min: field.validation?.min ? {
-            value: field.validation.min,
-            message: `Minimum value is ${field.validation.min}`,
-          } : undefined,
-          max: field.validation?.max ? {
-            value: field.validation.max,
-            message: `Maximum value is ${field.validation.max}`,
-          } : undefined,
+          validate,
         })}
       />
       
+      {formatted && (
+        <span className="form-help">Formats as {formatted}</span>
+      )}
       {field.helpText && <span className="form-help">{field.helpText}</span>}
       {errors[field.id] && (
         <span className="form-error">{errors[field.id].message}</span>
@@ -1,4 +1,4 @@
-function SelectField({ field, register, errors }) {
+function SelectField({ field, register, errors, validate }) {
   return (
     <div className="form-field">
       <label htmlFor={field.id} className="form-label">
@@ -10,7 +10,7 @@ function SelectField({ field, register, errors }) {
         id={field.id}
         className="form-select"
         {...register(field.id, {
-          required: field.required ? `${field.label} is required` : false,
+          validate,
         })}
       >
         <option value="">-- Select --</option>
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { getToday } from 'document-template-generator-shared';
+import SignaturePad from './SignaturePad';
+
+function SignatureField({ field, register, errors, validate, setValue, formatting }) {
+  const [image, setImage] = useState(null);
+  const [name, setName] = useState('');
+  const [date, setDate] = useState(getToday(formatting));
+
+  // Register the field so validation applies to the signature
+  useEffect(() => {
+    register(field.id, {
+      validate,
+    });
+  }, [register, field]);
+
+  // The field value is the signature image with the signatory's name and the date signed
+  const updateValue = (nextImage, nextName, nextDate) => {
+    setValue(
+      field.id,
+      nextImage ? { ...nextImage, name: nextName, date: nextDate } : null,
+      { shouldValidate: Boolean(nextImage) }
+    );
+  };
+
+  const handleSignatureChange = (nextImage) => {
+    setImage(nextImage);
+    updateValue(nextImage, name, date);
+  };
+
+  const handleNameChange = (e) => {
+    setName(e.target.value);
+    updateValue(image, e.target.value, date);
+  };
+
+  const handleDateChange = (e) => {
+    setDate(e.target.value);
+    updateValue(image, name, e.target.value);
+  };
+
+  return (
+    <div className="form-field signature-field">
+      <label className="form-label">
+        {field.label}
+        {field.required && <span className="required">*</span>}
+      </label>
+
+      <SignaturePad value={image} onChange={handleSignatureChange} />
+
+      <div className="signature-field-details">
+        <input
+          type="text"
+          className="form-input"
+          placeholder="Name"
+          value={name}
+          onChange={handleNameChange}
+        />
+        <input
+          type="date"
+          className="form-input"
+          value={date}
+          onChange={handleDateChange}
+        />
+      </div>
+
+      {field.helpText && <span className="form-help">{field.helpText}</span>}
+      {errors[field.id] && (
+        <span className="form-error">{errors[field.id].message}</span>
+      )}
+    </div>
+  );
+}
+
+export default SignatureField;
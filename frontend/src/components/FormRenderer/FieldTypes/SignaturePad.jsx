@@ -0,0 +1,129 @@
+import { useRef, useState } from 'react';
+import { documentsApi } from '../../../services/api';
+import './SignaturePad.css';
+
+// Saved drawings by storage path, so a signature keeps showing after the pad re-renders
+const savedDrawings = new Map();
+
+/**
+ * Canvas for drawing a signature
+ * The drawing is uploaded as a PNG when the user saves it; onChange receives
+ * the uploaded image ({ path, contentType, width, height }) or null when cleared
+ */
+function SignaturePad({ value, onChange, compact = false }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [hasDrawing, setHasDrawing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const signed = Boolean(value?.path);
+
+  const getPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#000000';
+    context.beginPath();
+    context.moveTo(x, y);
+
+    canvasRef.current.setPointerCapture(e.pointerId);
+    drawingRef.current = true;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    context.lineTo(x, y);
+    context.stroke();
+    setHasDrawing(true);
+  };
+
+  const handlePointerUp = () => {
+    drawingRef.current = false;
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas?.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasDrawing(false);
+    setError('');
+    onChange(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+
+      const blob = await new Promise((resolve) => canvasRef.current.toBlob(resolve, 'image/png'));
+      const result = await documentsApi.uploadImage(new File([blob], 'signature.png', { type: 'image/png' }));
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Upload failed');
+      }
+
+      savedDrawings.set(result.image.path, canvasRef.current.toDataURL('image/png'));
+      setHasDrawing(false);
+      onChange(result.image);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={`signature-pad${compact ? ' signature-pad-compact' : ''}`}>
+      {signed ? (
+        <img
+          src={savedDrawings.get(value.path)}
+          alt="Signature"
+          className="signature-pad-canvas signature-pad-signed"
+        />
+      ) : (
+        <canvas
+          ref={canvasRef}
+          width={compact ? 300 : 500}
+          height={compact ? 90 : 150}
+          className="signature-pad-canvas"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        />
+      )}
+      <div className="signature-pad-actions">
+        {!signed && (
+          <button
+            type="button"
+            onClick={handleSave}
+            className="btn btn-primary btn-sm"
+            disabled={!hasDrawing || saving}
+          >
+            {saving ? 'Saving...' : 'Save signature'}
+          </button>
+        )}
+        {signed && <span className="signature-pad-status">Signed</span>}
+        <button type="button" onClick={handleClear} className="btn btn-outline btn-sm">
+          Clear
+        </button>
+      </div>
+      {error && <span className="form-error">{error}</span>}
+    </div>
+  );
+}
+
+export default SignaturePad;
@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
+import SignaturePad from './SignaturePad';
 import './TableField.css';
 
-function TableField({ field, register, errors, setValue }) {
+function TableField({ field, register, errors, validate, setValue }) {
   const getInitialRows = () => {
     const count = field.defaultRows || 5;
     const emptyRow = {};
@@ -13,6 +14,13 @@ function TableField({ field, register, errors, setValue }) {
 
   const [rows, setRows] = useState(getInitialRows());
 
+  // Register the field so validation applies to the rows
+  useEffect(() => {
+    register(field.id, {
+      validate,
+    });
+  }, [register, field]);
+
   // Update form value whenever rows change
   useEffect(() => {
     setValue(field.id, rows);
@@ -77,7 +85,13 @@ function TableField({ field, register, errors, setValue }) {
               <tr key={rowIndex}>
                 {field.columns?.map((col) => (
                   <td key={col.key}>
-                    {col.type === 'select' ? (
+                    {col.type === 'signature' ? (
+                      <SignaturePad
+                        compact
+                        value={row[col.key] || null}
+                        onChange={(image) => handleCellChange(rowIndex, col.key, image || '')}
+                      />
+                    ) : col.type === 'select' ? (
                       <select
                         className="table-select"
                         value={row[col.key] || ''}
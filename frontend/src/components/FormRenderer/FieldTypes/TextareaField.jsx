@@ -1,4 +1,4 @@
-function TextareaField({ field, register, errors }) {
+function TextareaField({ field, register, errors, validate }) {
   return (
     <div className="form-field">
       <label htmlFor={field.id} className="form-label">
@@ -12,15 +12,7 @@ function TextareaField({ field, register, errors }) {
         placeholder={field.placeholder}
         rows={field.rows || 4}
         {...register(field.id, {
-          required: field.required ? `${field.label} is required` : false,
-          minLength: field.validation?.minLength ? {
-            value: field.validation.minLength,
-            message: `Minimum length is ${field.validation.minLength}`,
-          } : undefined,
-          maxLength: field.validation?.maxLength ? {
-            value: field.validation.maxLength,
-            message: `Maximum length is ${field.validation.maxLength}`,
-          } : undefined,
+          validate,
         })}
       />
       
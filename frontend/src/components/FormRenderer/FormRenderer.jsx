@@ -1,3 +1,4 @@
+import { useEffect } from 'react';
 import { useForm } from 'react-hook-form';
 import TextField from './FieldTypes/TextField';
 import TextareaField from './FieldTypes/TextareaField';
@@ -5,34 +6,32 @@ import NumberField from './FieldTypes/NumberField';
 import DateField from './FieldTypes/DateField';
 import SelectField from './FieldTypes/SelectField';
 import TableField from './FieldTypes/TableField';
+import ImageField from './FieldTypes/ImageField';
+import SignatureField from './FieldTypes/SignatureField';
+import ComputedField from './FieldTypes/ComputedField';
+import { applyComputedFields, isFieldVisible, validateField, getToday, DEFAULT_FORMATTING } from 'document-template-generator-shared';
 import './FormRenderer.css';
 
-function FormRenderer({ schema, onSubmit, loading = false }) {
+function FormRenderer({ schema, onSubmit, loading = false, formatting = DEFAULT_FORMATTING }) {
   const { register, handleSubmit, watch, formState: { errors }, setValue } = useForm();
   
   const formData = watch();
 
-  const evaluateConditional = (conditional) => {
-    if (!conditional || !conditional.show_when) {
-      return true;
-    }
+  // Computed fields are recalculated on every change (and again on the server)
+  const computedData = applyComputedFields(schema, formData);
+  const computedFields = schema?.sections?.flatMap((section) => section.fields || [])
+    .filter((field) => field.type === 'computed') || [];
 
-    const { field, operator, value } = conditional.show_when;
-    const fieldValue = formData[field];
+  // Conditions on "today" use the template's time zone, as in the generated document
+  const conditionData = { ...formData, today: getToday(formatting) };
 
-    switch (operator) {
-      case 'equals':
-        return fieldValue === value;
-      case 'not_equals':
-        return fieldValue !== value;
-      case 'contains':
-        return Array.isArray(fieldValue) 
-          ? fieldValue.includes(value) 
-          : String(fieldValue || '').includes(value);
-      default:
-        return true;
-    }
-  };
+  useEffect(() => {
+    computedFields.forEach((field) => {
+      if (JSON.stringify(formData[field.id]) !== JSON.stringify(computedData[field.id])) {
+        setValue(field.id, computedData[field.id]);
+      }
+    });
+  });
 
   const renderField = (field) => {
     const commonProps = {
@@ -40,6 +39,9 @@ function FormRenderer({ schema, onSubmit, loading = false }) {
       register,
       errors,
       setValue,
+      formatting,
+      // Validated against the same data as on the server, "today" included
+      validate: (value, formValues) => validateField(field, value, { ...formValues, today: getToday(formatting) }) ?? true,
     };
 
     switch (field.type) {
@@ -50,10 +52,10 @@ function FormRenderer({ schema, onSubmit, loading = false }) {
         return <TextareaField key={field.id} {...commonProps} />;
       
       case 'number':
-        return <NumberField key={field.id} {...commonProps} />;
+        return <NumberField key={field.id} {...commonProps} value={formData[field.id]} />;
       
       case 'date':
-        return <DateField key={field.id} {...commonProps} />;
+        return <DateField key={field.id} {...commonProps} value={formData[field.id]} />;
       
       case 'select':
         return <SelectField key={field.id} {...commonProps} />;
@@ -61,6 +63,15 @@ function FormRenderer({ schema, onSubmit, loading = false }) {
       case 'table':
         return <TableField key={field.id} {...commonProps} />;
       
+      case 'image':
+        return <ImageField key={field.id} {...commonProps} />;
+      
+      case 'signature':
+        return <SignatureField key={field.id} {...commonProps} />;
+      
+      case 'computed':
+        return <ComputedField key={field.id} field={field} value={computedData[field.id]} />;
+      
       default:
         return (
           <div key={field.id} className="form-field">
@@ -89,8 +100,7 @@ function FormRenderer({ schema, onSubmit, loading = false }) {
 
           <div className="form-section-fields">
             {section.fields?.map((field) => {
-              const isVisible = evaluateConditional(field.conditional);
-              return isVisible ? renderField(field) : null;
+              return isFieldVisible(field, conditionData) ? renderField(field) : null;
             })}
           </div>
         </div>
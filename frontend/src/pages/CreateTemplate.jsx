@@ -13,6 +13,8 @@ function CreateTemplate() {
   const [analysisResult, setAnalysisResult] = useState(null);
   const [templateName, setTemplateName] = useState('');
   const [templateDescription, setTemplateDescription] = useState('');
+  const [deriveMaster, setDeriveMaster] = useState(false);
+  const [exampleIndex, setExampleIndex] = useState(0);
 
   const handleFileChange = (index, file) => {
     const newFiles = [...files];
@@ -89,15 +91,21 @@ function CreateTemplate() {
 
   const handleSaveTemplate = async () => {
     try {
-      await templatesApi.create({
+      const result = await templatesApi.create({
         sessionId,
         name: templateName,
         description: templateDescription,
         documentType: analysisResult.documentType,
         industry: analysisResult.industry,
+        deriveMaster,
+        exampleIndex,
       });
 
-      alert('Template created successfully!');
+      if (result.masterDocx && !result.masterDocx.success) {
+        alert('Template created, but the example layout could not be used: ' + result.masterDocx.error);
+      } else {
+        alert('Template created successfully!');
+      }
       navigate('/templates');
     } catch (error) {
       alert('Failed to create template: ' + error.message);
@@ -252,6 +260,33 @@ function CreateTemplate() {
                 />
               </div>
 
+              <div className="form-group">
+                <label className="form-label">
+                  <input
+                    type="checkbox"
+                    checked={deriveMaster}
+                    onChange={(e) => setDeriveMaster(e.target.checked)}
+                  />{' '}
+                  Keep the original layout of an example document
+                </label>
+                {deriveMaster && (
+                  <select
+                    className="form-select"
+                    value={exampleIndex}
+                    onChange={(e) => setExampleIndex(parseInt(e.target.value, 10))}
+                  >
+                    {files.map((file, index) => (
+                      <option key={index} value={index}>
+                        {file?.name || `Document ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <span className="form-help">
+                  Generated documents will reuse this document's styles, tables and headers
+                </span>
+              </div>
+
               <div className="wizard-actions">
                 <button onClick={handleSaveTemplate} className="btn btn-primary">
                   Save Template
@@ -31,6 +31,14 @@ function Dashboard() {
     }
   };
 
+  const handleDownload = async (documentId, format) => {
+    try {
+      window.open(await documentsApi.getDownloadUrl(documentId, format), '_blank');
+    } catch (error) {
+      alert('Failed to download document: ' + error.message);
+    }
+  };
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -59,6 +67,7 @@ function Dashboard() {
           <nav className="app-nav">
             <Link to="/dashboard" className="active">Dashboard</Link>
             <Link to="/templates">Templates</Link>
+            <Link to="/settings">Settings</Link>
             <button onClick={handleSignOut} className="btn btn-outline">
               Sign Out
             </button>
@@ -141,6 +150,7 @@ function Dashboard() {
                     <thead>
                       <tr>
                         <th>Name</th>
+                        <th>Reference</th>
                         <th>Template</th>
                         <th>Created</th>
                         <th>Actions</th>
@@ -150,17 +160,38 @@ function Dashboard() {
                       {documents.map((doc) => (
                         <tr key={doc.id}>
                           <td>{doc.name}</td>
+                          <td>{doc.documentNumber || '-'}</td>
                           <td>{doc.templateName}</td>
                           <td>{new Date(doc.createdAt).toLocaleDateString()}</td>
                           <td>
-                            <a
-                              href={documentsApi.getDownloadUrl(doc.id)}
+                            <button
+                              type="button"
+                              onClick={() => handleDownload(doc.id, 'docx')}
                               className="btn btn-outline btn-sm"
-                              target="_blank"
-                              rel="noopener noreferrer"
                             >
                               Download
-                            </a>
+                            </button>{' '}
+                            <button
+                              type="button"
+                              onClick={() => handleDownload(doc.id, 'pdf')}
+                              className="btn btn-outline btn-sm"
+                            >
+                              PDF
+                            </button>
+                            {doc.outputFormats
+                              ?.filter((format) => format !== 'docx' && format !== 'pdf')
+                              .map((format) => (
+                                <span key={format}>
+                                  {' '}
+                                  <button
+                                    type="button"
+                                    onClick={() => handleDownload(doc.id, format)}
+                                    className="btn btn-outline btn-sm"
+                                  >
+                                    {format.toUpperCase()}
+                                  </button>
+                                </span>
+                              ))}
                           </td>
                         </tr>
                       ))}
@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { templatesApi } from '../services/api';
+import './EditTemplate.css';
+
+/**
+ * Collect the asset names a template's structure places with { type: 'image', asset }
+ */
+function getReferencedAssets(structureJson) {
+  const names = new Set();
+
+  const visit = (items = []) => {
+    for (const item of items) {
+      if (item.type === 'image' && item.asset) names.add(item.asset);
+      visit(item.content);
+    }
+  };
+  (structureJson?.sections || []).forEach((section) => visit(section.content));
+
+  return [...names];
+}
+
+function EditTemplate() {
+  const { templateId } = useParams();
+  const [template, setTemplate] = useState(null);
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [assetName, setAssetName] = useState('');
+  const [assetFile, setAssetFile] = useState(null);
+  const [uploadingAsset, setUploadingAsset] = useState(false);
+  const [hasMaster, setHasMaster] = useState(false);
+  const [masterFile, setMasterFile] = useState(null);
+  const [savingMaster, setSavingMaster] = useState(false);
+
+  useEffect(() => {
+    loadTemplate();
+  }, [templateId]);
+
+  const loadTemplate = async () => {
+    try {
+      const [templateData, assetsData] = await Promise.all([
+        templatesApi.getById(templateId),
+        templatesApi.getAssets(templateId),
+      ]);
+      setTemplate(templateData.template);
+      setHasMaster(Boolean(templateData.template.template_docx_url));
+      setAssets(assetsData.assets || []);
+    } catch (error) {
+      alert('Failed to load template: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUploadMaster = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSavingMaster(true);
+      const result = await templatesApi.uploadMaster(templateId, masterFile);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Upload failed');
+      }
+
+      setHasMaster(result.template.hasMasterDocx);
+      setMasterFile(null);
+      e.target.reset();
+    } catch (error) {
+      alert('Failed to upload master document: ' + error.message);
+    } finally {
+      setSavingMaster(false);
+    }
+  };
+
+  const handleRemoveMaster = async () => {
+    if (!confirm('Remove the master document? Documents will be built from the template structure again.')) {
+      return;
+    }
+
+    try {
+      setSavingMaster(true);
+      await templatesApi.deleteMaster(templateId);
+      setHasMaster(false);
+    } catch (error) {
+      alert('Failed to remove master document: ' + error.message);
+    } finally {
+      setSavingMaster(false);
+    }
+  };
+
+  const handleUploadAsset = async (e) => {
+    e.preventDefault();
+
+    try {
+      setUploadingAsset(true);
+      const result = await templatesApi.uploadAsset(templateId, assetFile, assetName.trim());
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Upload failed');
+      }
+
+      setAssets([...assets, result.asset]);
+      setAssetName('');
+      setAssetFile(null);
+      e.target.reset();
+    } catch (error) {
+      alert('Failed to upload image: ' + error.message);
+    } finally {
+      setUploadingAsset(false);
+    }
+  };
+
+  const handleDeleteAsset = async (asset) => {
+    if (!confirm(`Delete the image "${asset.name}"?`)) {
+      return;
+    }
+
+    try {
+      await templatesApi.deleteAsset(templateId, asset.id);
+      setAssets(assets.filter((a) => a.id !== asset.id));
+    } catch (error) {
+      alert('Failed to delete image: ' + error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-screen">
+        <div className="spinner"></div>
+        <p>Loading template...</p>
+      </div>
+    );
+  }
+
+  if (!template) {
+    return (
+      <div className="container">
+        <p>Template not found.</p>
+        <Link to="/templates">Back to templates</Link>
+      </div>
+    );
+  }
+
+  const assetNames = assets.map((asset) => asset.name);
+  const missingAssets = getReferencedAssets(template.structure_json).filter((name) => !assetNames.includes(name));
+
+  return (
+    <div className="edit-template-page">
+      <header className="app-header">
+        <div className="container app-header-content">
+          <Link to="/dashboard" className="app-logo">
+            Document Template Generator
+          </Link>
+          <nav className="app-nav">
+            <Link to="/dashboard">Dashboard</Link>
+            <Link to="/templates" className="active">Templates</Link>
+            <Link to="/settings">Settings</Link>
+          </nav>
+        </div>
+      </header>
+
+      <main className="app-main">
+        <div className="container">
+          <div className="page-header">
+            <h1 className="page-title">{template.name}</h1>
+            <p className="page-description">Files used when documents are generated from this template</p>
+          </div>
+
+          <section className="edit-template-section card">
+            <h2 className="edit-template-section-title">Master document</h2>
+            <p className="form-help">
+              A Word document tagged with {'{placeholders}'} for the form's fields. When one is uploaded,
+              .docx files are filled in from it instead of being built from the template structure.
+            </p>
+
+            {hasMaster ? (
+              <div className="edit-template-master">
+                <span className="badge badge-success">Master document uploaded</span>
+                <button
+                  type="button"
+                  onClick={handleRemoveMaster}
+                  className="btn btn-danger btn-sm"
+                  disabled={savingMaster}
+                >
+                  Remove
+                </button>
+              </div>
+            ) : (
+              <span className="badge badge-info">No master document</span>
+            )}
+
+            <form onSubmit={handleUploadMaster} className="edit-template-upload">
+              <div className="form-group">
+                <label htmlFor="masterFile" className="form-label">
+                  {hasMaster ? 'Replace with' : 'Word document'}
+                </label>
+                <input
+                  id="masterFile"
+                  type="file"
+                  accept=".docx,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+                  required
+                  onChange={(e) => setMasterFile(e.target.files[0] || null)}
+                />
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={savingMaster || !masterFile}>
+                {savingMaster ? 'Saving...' : 'Upload Master'}
+              </button>
+            </form>
+          </section>
+
+          <section className="edit-template-section card">
+            <h2 className="edit-template-section-title">Images</h2>
+            <p className="form-help">
+              Logos and other fixed pictures, placed in the template by name.
+            </p>
+
+            {missingAssets.length > 0 && (
+              <div className="alert alert-warning">
+                Not uploaded yet: {missingAssets.join(', ')}
+              </div>
+            )}
+
+            {assets.length > 0 && (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Size</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {assets.map((asset) => (
+                    <tr key={asset.id}>
+                      <td>{asset.name}</td>
+                      <td>{asset.width} × {asset.height}</td>
+                      <td>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteAsset(asset)}
+                          className="btn btn-danger btn-sm"
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <form onSubmit={handleUploadAsset} className="edit-template-upload">
+              <div className="form-group">
+                <label htmlFor="assetName" className="form-label">Name</label>
+                <input
+                  id="assetName"
+                  type="text"
+                  className="form-input"
+                  placeholder="company_logo"
+                  pattern="[A-Za-z0-9_-]+"
+                  required
+                  value={assetName}
+                  onChange={(e) => setAssetName(e.target.value)}
+                />
+                <span className="form-help">Letters, numbers, dashes and underscores</span>
+              </div>
+              <div className="form-group">
+                <label htmlFor="assetFile" className="form-label">Image</label>
+                <input
+                  id="assetFile"
+                  type="file"
+                  accept="image/png,image/jpeg,image/gif,image/bmp"
+                  required
+                  onChange={(e) => setAssetFile(e.target.files[0] || null)}
+                />
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={uploadingAsset || !assetFile}>
+                {uploadingAsset ? 'Uploading...' : 'Upload Image'}
+              </button>
+            </form>
+          </section>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default EditTemplate;
@@ -1,9 +1,19 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { getToday } from 'document-template-generator-shared';
 import { templatesApi, documentsApi } from '../services/api';
 import FormRenderer from '../components/FormRenderer/FormRenderer';
 import './FillForm.css';
 
+// Formats that can be saved alongside the Word document
+const EXTRA_FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'odt', label: 'OpenDocument (.odt)' },
+  { value: 'html', label: 'Web page (.html)' },
+  { value: 'md', label: 'Markdown (.md)' },
+  { value: 'txt', label: 'Plain text (.txt)' },
+];
+
 function FillForm() {
   const { templateId } = useParams();
   const navigate = useNavigate();
@@ -11,6 +21,9 @@ function FillForm() {
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
   const [documentName, setDocumentName] = useState('');
+  const [isDraft, setIsDraft] = useState(false);
+  const [outputFormats, setOutputFormats] = useState([]);
+  const [formatting, setFormatting] = useState();
 
   useEffect(() => {
     loadTemplate();
@@ -20,9 +33,10 @@ function FillForm() {
     try {
       const data = await templatesApi.getById(templateId);
       setTemplate(data.template);
+      setFormatting(data.formatting);
       
       // Set default document name
-      const date = new Date().toISOString().split('T')[0];
+      const date = getToday(data.formatting);
       setDocumentName(`${data.template.name} - ${date}`);
     } catch (error) {
       alert('Failed to load template: ' + error.message);
@@ -32,6 +46,12 @@ function FillForm() {
     }
   };
 
+  const toggleOutputFormat = (format) => {
+    setOutputFormats((current) =>
+      current.includes(format) ? current.filter((value) => value !== format) : [...current, format]
+    );
+  };
+
   const handleSubmit = async (userData) => {
     try {
       setGenerating(true);
@@ -40,6 +60,8 @@ function FillForm() {
         templateId,
         name: documentName,
         userData,
+        status: isDraft ? 'draft' : 'final',
+        outputFormats,
       });
 
       alert('Document generated successfully!');
@@ -102,12 +124,38 @@ function FillForm() {
                   required
                 />
               </div>
+
+              <div className="form-group">
+                <label className="form-label">
+                  <input
+                    type="checkbox"
+                    checked={isDraft}
+                    onChange={(e) => setIsDraft(e.target.checked)}
+                  />{' '}
+                  Draft (adds a DRAFT watermark)
+                </label>
+              </div>
+
+              <div className="form-group">
+                <span className="form-label">Also save as</span>
+                {EXTRA_FORMATS.map(({ value, label }) => (
+                  <label key={value} className="form-label">
+                    <input
+                      type="checkbox"
+                      checked={outputFormats.includes(value)}
+                      onChange={() => toggleOutputFormat(value)}
+                    />{' '}
+                    {label}
+                  </label>
+                ))}
+              </div>
             </div>
 
             <FormRenderer
               schema={template.schema_json}
               onSubmit={handleSubmit}
               loading={generating}
+              formatting={formatting}
             />
           </div>
         </div>
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { resolveFormatting, formatDate, formatNumber, formatCurrency, getToday } from 'document-template-generator-shared';
+import { settingsApi } from '../services/api';
+import './Settings.css';
+
+const EMPTY_FORMATTING = { locale: '', timeZone: '', dateFormat: '', currency: '' };
+
+function Settings() {
+  const [formatting, setFormatting] = useState(EMPTY_FORMATTING);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const data = await settingsApi.get();
+      setFormatting({ ...EMPTY_FORMATTING, ...data.settings.formatting });
+      setDefaults(data.defaults.formatting);
+    } catch (error) {
+      alert('Failed to load settings: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (key, value) => {
+    setFormatting({ ...formatting, [key]: value });
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = await settingsApi.update({ formatting });
+      setFormatting({ ...EMPTY_FORMATTING, ...data.settings.formatting });
+      setMessage('Settings saved');
+    } catch (error) {
+      alert('Failed to save settings: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-screen">
+        <div className="spinner"></div>
+        <p>Loading settings...</p>
+      </div>
+    );
+  }
+
+  // Preview with the values as typed; invalid values fall back to the defaults
+  const preview = resolveFormatting(defaults, formatting);
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <div className="settings-page">
+      <header className="app-header">
+        <div className="container app-header-content">
+          <Link to="/dashboard" className="app-logo">
+            Document Template Generator
+          </Link>
+          <nav className="app-nav">
+            <Link to="/dashboard">Dashboard</Link>
+            <Link to="/templates">Templates</Link>
+            <Link to="/settings" className="active">Settings</Link>
+          </nav>
+        </div>
+      </header>
+
+      <main className="app-main">
+        <div className="container">
+          <div className="page-header">
+            <h1 className="page-title">Settings</h1>
+            <p className="page-description">
+              Default formatting for your documents. A template's own formatting settings take precedence.
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form card">
+            <div className="form-group">
+              <label htmlFor="locale" className="form-label">Locale</label>
+              <input
+                id="locale"
+                type="text"
+                className="form-input"
+                placeholder={defaults?.locale}
+                value={formatting.locale}
+                onChange={(e) => handleChange('locale', e.target.value)}
+              />
+              <span className="form-help">Language and region, e.g. en-AU or en-GB</span>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="timeZone" className="form-label">Time zone</label>
+              <input
+                id="timeZone"
+                type="text"
+                className="form-input"
+                placeholder={defaults?.timeZone}
+                value={formatting.timeZone}
+                onChange={(e) => handleChange('timeZone', e.target.value)}
+              />
+              <span className="form-help">
+                Decides today's date, e.g. Australia/Perth.{' '}
+                <button type="button" className="btn-link" onClick={() => handleChange('timeZone', browserTimeZone)}>
+                  Use {browserTimeZone}
+                </button>
+              </span>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="dateFormat" className="form-label">Date format</label>
+              <input
+                id="dateFormat"
+                type="text"
+                className="form-input"
+                placeholder="Locale default"
+                value={formatting.dateFormat}
+                onChange={(e) => handleChange('dateFormat', e.target.value)}
+              />
+              <span className="form-help">Tokens: YYYY, MMMM, MMM, MM, DD, D, dddd, ddd, e.g. DD/MM/YYYY</span>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="currency" className="form-label">Currency</label>
+              <input
+                id="currency"
+                type="text"
+                className="form-input"
+                placeholder={defaults?.currency}
+                maxLength={3}
+                value={formatting.currency}
+                onChange={(e) => handleChange('currency', e.target.value)}
+              />
+              <span className="form-help">Three-letter code, e.g. AUD</span>
+            </div>
+
+            <div className="settings-preview">
+              <div>Today: {formatDate(getToday(preview), preview)}</div>
+              <div>Number: {formatNumber(1234567.89, preview)}</div>
+              <div>Currency: {formatCurrency(1234.5, preview)}</div>
+            </div>
+
+            <div className="settings-actions">
+              {message && <span className="settings-message">{message}</span>}
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Settings'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default Settings;
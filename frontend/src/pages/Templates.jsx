@@ -47,6 +47,7 @@ function Templates() {
           <nav className="app-nav">
             <Link to="/dashboard">Dashboard</Link>
             <Link to="/templates" className="active">Templates</Link>
+            <Link to="/settings">Settings</Link>
           </nav>
         </div>
       </header>
@@ -112,6 +113,12 @@ function Templates() {
                     >
                       Use Template
                     </Link>
+                    <Link
+                      to={`/templates/${template.id}/edit`}
+                      className="btn btn-outline btn-sm"
+                    >
+                      Edit
+                    </Link>
                     <button
                       onClick={() => handleDelete(template.id)}
                       className="btn btn-danger btn-sm"
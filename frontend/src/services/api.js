@@ -98,6 +98,47 @@ export const templatesApi = {
   delete: (templateId) => apiRequest(`/api/templates/${templateId}`, {
     method: 'DELETE',
   }),
+  
+  uploadAsset: async (templateId, file, name) => {
+    const headers = await getAuthHeader();
+    
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('name', name);
+    
+    const response = await fetch(`${API_URL}/api/templates/${templateId}/assets`, {
+      method: 'POST',
+      headers: { 'Authorization': headers['Authorization'] },
+      body: formData,
+    });
+    
+    return response.json();
+  },
+  
+  uploadMaster: async (templateId, file) => {
+    const headers = await getAuthHeader();
+    
+    const formData = new FormData();
+    formData.append('file', file);
+    
+    const response = await fetch(`${API_URL}/api/templates/${templateId}/master`, {
+      method: 'POST',
+      headers: { 'Authorization': headers['Authorization'] },
+      body: formData,
+    });
+    
+    return response.json();
+  },
+  
+  deleteMaster: (templateId) => apiRequest(`/api/templates/${templateId}/master`, {
+    method: 'DELETE',
+  }),
+  
+  getAssets: (templateId) => apiRequest(`/api/templates/${templateId}/assets`),
+  
+  deleteAsset: (templateId, assetId) => apiRequest(`/api/templates/${templateId}/assets/${assetId}`, {
+    method: 'DELETE',
+  }),
 };
 
 // Documents API
@@ -114,7 +155,14 @@ export const documentsApi = {
   
   getById: (documentId) => apiRequest(`/api/documents/${documentId}`),
   
-  getDownloadUrl: (documentId) => `${API_URL}/api/documents/${documentId}/download`,
+  // Signed storage URL for a document file; the download routes need the auth
+  // header, so the app asks for the URL rather than linking to them
+  getDownloadUrl: async (documentId, format = 'docx') => {
+    const data = await apiRequest(`/api/documents/${documentId}/download/${format}`, {
+      headers: { 'Accept': 'application/json' },
+    });
+    return data.downloadUrl;
+  },
   
   regenerate: (documentId, data) => apiRequest(`/api/documents/${documentId}/regenerate`, {
     method: 'PUT',
@@ -124,6 +172,21 @@ export const documentsApi = {
   delete: (documentId) => apiRequest(`/api/documents/${documentId}`, {
     method: 'DELETE',
   }),
+  
+  uploadImage: async (file) => {
+    const headers = await getAuthHeader();
+    
+    const formData = new FormData();
+    formData.append('file', file);
+    
+    const response = await fetch(`${API_URL}/api/documents/images`, {
+      method: 'POST',
+      headers: { 'Authorization': headers['Authorization'] },
+      body: formData,
+    });
+    
+    return response.json();
+  },
 };
 
 // Form Assistance API
@@ -134,3 +197,13 @@ export const formAssistApi = {
   }),
 };
 
+
+// Settings API
+export const settingsApi = {
+  get: () => apiRequest('/api/settings'),
+  
+  update: (data) => apiRequest('/api/settings', {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+};
@@ -5,6 +5,10 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
+    fs: {
+      // The shared rules package lives next to the frontend, outside its root
+      allow: ['..'],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
@@ -0,0 +1,183 @@
+/**
+ * Condition evaluation, shared by the form and the document generator
+ */
+
+/**
+ * Get nested value from object using dot notation path
+ * @param {Object} obj - The object to search
+ * @param {string} path - Dot notation path (e.g., "user.profile.name")
+ * @returns {*} The value at the path, or undefined
+ */
+export function getNestedValue(obj, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+/**
+ * Evaluate conditional logic
+ *
+ * A condition is either a single test { field, operator, value } or a group:
+ * { all: [conditions] }, { any: [conditions] } or { not: condition }. Groups nest.
+ *
+ * Operators: equals, not_equals, greater_than, less_than, contains, not_contains,
+ * in, not_in (value is a list), is_empty, is_not_empty, between (value is [min, max],
+ * inclusive), matches (value is a regular expression), and the date comparisons
+ * before, after, on_or_before, on_or_after (value is a YYYY-MM-DD date, "today",
+ * or "today+N" / "today-N" days). "today" is the data's today value when it has one
+ * (the generator sets it in the template's time zone), otherwise the local date
+ *
+ * @param {Object} condition - Condition or condition group
+ * @param {Object} data - Data to evaluate against
+ * @returns {boolean} True if condition is met
+ */
+export function evaluateCondition(condition, data) {
+  if (!condition) return true;
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every((subCondition) => evaluateCondition(subCondition, data));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some((subCondition) => evaluateCondition(subCondition, data));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, data);
+  }
+
+  if (!condition.field) return true;
+
+  const { field, operator, value } = condition;
+  const fieldValue = getNestedValue(data, field);
+
+  switch (operator) {
+    case 'equals':
+      return fieldValue === value;
+    case 'not_equals':
+      return fieldValue !== value;
+    case 'greater_than':
+      return fieldValue > value;
+    case 'less_than':
+      return fieldValue < value;
+    case 'contains':
+      return Array.isArray(fieldValue) ? fieldValue.includes(value) : String(fieldValue).includes(value);
+    case 'not_contains':
+      return Array.isArray(fieldValue) ? !fieldValue.includes(value) : !String(fieldValue).includes(value);
+    case 'in':
+      return isValueIn(fieldValue, value);
+    case 'not_in':
+      return !isValueIn(fieldValue, value);
+    case 'is_empty':
+      return isEmptyValue(fieldValue);
+    case 'is_not_empty':
+      return !isEmptyValue(fieldValue);
+    case 'between': {
+      const [min, max] = Array.isArray(value) ? value : [value?.min, value?.max];
+      return !isEmptyValue(fieldValue) && (min === undefined || fieldValue >= min) && (max === undefined || fieldValue <= max);
+    }
+    case 'matches':
+      return matchesPattern(fieldValue, value);
+    case 'before':
+    case 'after':
+    case 'on_or_before':
+    case 'on_or_after':
+      return compareDates(fieldValue, value, operator, getNestedValue(data, 'today'));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether a value (or any value of a multi-value field) is in a list
+ */
+function isValueIn(fieldValue, list) {
+  const values = Array.isArray(list) ? list : [list];
+  return Array.isArray(fieldValue)
+    ? fieldValue.some((entry) => values.includes(entry))
+    : values.includes(fieldValue);
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Test a value against a regular expression, given as a string or { pattern, flags }
+ * Invalid patterns never match
+ */
+function matchesPattern(fieldValue, pattern) {
+  if (isEmptyValue(fieldValue)) return false;
+
+  try {
+    const regex = typeof pattern === 'object' && pattern !== null
+      ? new RegExp(pattern.pattern, pattern.flags)
+      : new RegExp(pattern);
+    return regex.test(String(fieldValue));
+  } catch (error) {
+    console.warn(`Invalid condition pattern: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Compare two dates by calendar day
+ */
+function compareDates(fieldValue, value, operator, today) {
+  const fieldDay = toDayString(fieldValue, today);
+  const compareDay = toDayString(value, today);
+
+  if (!fieldDay || !compareDay) return false;
+
+  switch (operator) {
+    case 'before':
+      return fieldDay < compareDay;
+    case 'after':
+      return fieldDay > compareDay;
+    case 'on_or_before':
+      return fieldDay <= compareDay;
+    default:
+      return fieldDay >= compareDay;
+  }
+}
+
+/**
+ * Convert a date value to a sortable YYYY-MM-DD string
+ * Accepts dates, date strings, "today" and "today+N" / "today-N" (days)
+ */
+function toDayString(value, today) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const relative = typeof value === 'string' && value.replace(/\s/g, '').match(/^today(?:([+-])(\d+))?$/);
+  if (relative) {
+    const base = typeof today === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(today) ? today : formatDayString(new Date());
+    const date = new Date(`${base}T00:00:00Z`);
+    if (relative[1]) {
+      date.setUTCDate(date.getUTCDate() + Number(relative[2]) * (relative[1] === '-' ? -1 : 1));
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? null : formatDayString(date);
+}
+
+function formatDayString(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check if a field should be visible based on conditional logic
+ * @param {Object} field - Field definition with optional conditional property
+ * @param {Object} formData - Current form data
+ * @returns {boolean} True if field should be visible
+ */
+export function isFieldVisible(field, formData) {
+  if (!field.conditional || !field.conditional.show_when) {
+    return true;
+  }
+
+  return evaluateCondition(field.conditional.show_when, formData);
+}
@@ -0,0 +1,473 @@
+/**
+ * Expression evaluation for computed fields
+ *
+ * Expressions are a small, side-effect free formula language:
+ *   - numbers, 'strings' / "strings", true, false, null
+ *   - field references by id, with dot paths into objects (site.name); a path
+ *     through a table collects that column from every row (hazards.hours)
+ *   - arithmetic + - * / %, comparison == != < <= > >=, logic && || !, and cond ? a : b
+ *   - functions: sum, avg, min, max, count, round(value, decimals), abs,
+ *     if(cond, a, b) and lookup(table, key, ...) for risk matrices and other lookup tables
+ *
+ * Arithmetic on a missing value gives null, so a computed field stays blank
+ * until the fields it depends on are filled in.
+ */
+
+export class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_]\w*(?:\.\w+)*)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(==|!=|<=|>=|&&|\|\||[-+*/%<>!?:(),]))/y;
+
+// Binary operators grouped from lowest to highest precedence
+const BINARY_PRECEDENCE = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+const FUNCTIONS = {
+  sum: (...args) => numbers(args).reduce((total, value) => total + value, 0),
+  avg: (...args) => {
+    const values = numbers(args);
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+  },
+  min: (...args) => {
+    const values = numbers(args);
+    return values.length > 0 ? Math.min(...values) : null;
+  },
+  max: (...args) => {
+    const values = numbers(args);
+    return values.length > 0 ? Math.max(...values) : null;
+  },
+  count: (...args) => args.flat(Infinity).filter((value) => !isEmpty(value)).length,
+  round: (value, decimals = 0) => {
+    const number = toNumber(value);
+    const places = toNumber(decimals) ?? 0;
+    return number === null ? null : Math.round(number * 10 ** places) / 10 ** places;
+  },
+  abs: (value) => {
+    const number = toNumber(value);
+    return number === null ? null : Math.abs(number);
+  },
+  if: (condition, whenTrue, whenFalse = null) => (isTruthy(condition) ? whenTrue : whenFalse),
+  lookup: (table, ...keys) => {
+    let current = table;
+    for (const key of keys) {
+      if (isEmpty(key)) return null;
+      current = getOwn(current, key);
+    }
+    return current ?? null;
+  },
+};
+
+// Parsed expressions by source text, least recently used first; the backend
+// parses every template's expressions, so the cache is capped
+const cache = new Map();
+const CACHE_SIZE = 500;
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression text
+ * @returns {Object} Syntax tree
+ * @throws {ExpressionError} If the expression is invalid
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ExpressionError('Expression is empty');
+  }
+
+  if (cache.has(source)) {
+    // Move the expression to the most recently used end
+    const cached = cache.get(source);
+    cache.delete(source);
+    cache.set(source, cached);
+    return cached;
+  }
+
+  const parser = new Parser(tokenize(source));
+  const ast = parser.parseExpression();
+  if (parser.peek()) {
+    throw new ExpressionError(`Unexpected "${parser.peek().value}"`);
+  }
+
+  cache.set(source, ast);
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return ast;
+}
+
+/**
+ * Evaluate an expression against form data
+ * @param {string} expression - Expression text
+ * @param {Object} data - Field values by id
+ * @param {Object} lookups - Named lookup tables available to the expression
+ * @returns {*} Result, or null when it cannot be computed
+ * @throws {ExpressionError} If the expression is invalid
+ */
+export function evaluateExpression(expression, data = {}, lookups = {}) {
+  const result = evaluate(parseExpression(expression), { data, lookups });
+  return normaliseResult(result);
+}
+
+/**
+ * Compute every computed field in a schema
+ * Computed fields may depend on each other; they are re-evaluated until stable.
+ * Values already in the data for computed fields are always replaced.
+ * @param {Object} schema - Template schema_json
+ * @param {Object} data - User's form data
+ * @returns {Object} Copy of the data with computed values set
+ */
+export function applyComputedFields(schema, data = {}) {
+  const fields = (schema?.sections || [])
+    .flatMap((section) => section.fields || [])
+    .filter((field) => field.type === 'computed');
+
+  const values = { ...data };
+  fields.forEach((field) => {
+    values[field.id] = null;
+  });
+
+  // Invalid expressions leave their field blank
+  const validFields = fields.filter((field) => {
+    try {
+      parseExpression(field.expression);
+      return true;
+    } catch (error) {
+      console.warn(`Computed field "${field.id}": ${error.message}`);
+      return false;
+    }
+  });
+
+  for (let pass = 0; pass <= validFields.length; pass++) {
+    let changed = false;
+
+    for (const field of validFields) {
+      const value = evaluateExpression(field.expression, values, field.lookups);
+      if (value !== values[field.id]) {
+        values[field.id] = value;
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return values;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (!source.slice(TOKEN_PATTERN.lastIndex).trim()) break;
+
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new ExpressionError(`Unexpected character "${source.slice(position).trim()[0]}"`);
+    }
+
+    const [, number, identifier, singleQuoted, doubleQuoted, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: Number(number) });
+    } else if (identifier !== undefined) {
+      tokens.push({ type: 'identifier', value: identifier });
+    } else if (singleQuoted !== undefined || doubleQuoted !== undefined) {
+      tokens.push({ type: 'string', value: (singleQuoted ?? doubleQuoted).replace(/\\(.)/g, '$1') });
+    } else {
+      tokens.push({ type: 'operator', value: operator });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser, lowest precedence first
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  match(...operators) {
+    const token = this.peek();
+    if (token?.type === 'operator' && operators.includes(token.value)) {
+      this.position++;
+      return token.value;
+    }
+    return null;
+  }
+
+  expect(operator) {
+    if (!this.match(operator)) {
+      const token = this.peek();
+      throw new ExpressionError(token ? `Expected "${operator}" but found "${token.value}"` : `Expected "${operator}"`);
+    }
+  }
+
+  parseExpression() {
+    const condition = this.parseBinary(0);
+    if (!this.match('?')) {
+      return condition;
+    }
+
+    const whenTrue = this.parseExpression();
+    this.expect(':');
+    const whenFalse = this.parseExpression();
+    return { type: 'conditional', condition, whenTrue, whenFalse };
+  }
+
+  parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    let operator;
+    while ((operator = this.match(...BINARY_PRECEDENCE[level]))) {
+      left = { type: 'binary', operator, left, right: this.parseBinary(level + 1) };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const operator = this.match('-', '!');
+    if (operator) {
+      return { type: 'unary', operator, operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      throw new ExpressionError('Unexpected end of expression');
+    }
+
+    if (this.match('(')) {
+      const expression = this.parseExpression();
+      this.expect(')');
+      return expression;
+    }
+
+    this.position++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') {
+        return { type: 'literal', value: null };
+      }
+
+      if (this.match('(')) {
+        if (!Object.hasOwn(FUNCTIONS, token.value)) {
+          throw new ExpressionError(`Unknown function "${token.value}"`);
+        }
+
+        const args = [];
+        if (!this.match(')')) {
+          do {
+            args.push(this.parseExpression());
+          } while (this.match(','));
+          this.expect(')');
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'reference', path: token.value };
+    }
+
+    throw new ExpressionError(`Unexpected "${token.value}"`);
+  }
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'reference':
+      return resolveReference(node.path, scope);
+
+    case 'unary': {
+      const operand = evaluate(node.operand, scope);
+      if (node.operator === '!') return !isTruthy(operand);
+      const number = toNumber(operand);
+      return number === null ? null : -number;
+    }
+
+    case 'binary':
+      return evaluateBinary(node, scope);
+
+    case 'conditional':
+      return isTruthy(evaluate(node.condition, scope))
+        ? evaluate(node.whenTrue, scope)
+        : evaluate(node.whenFalse, scope);
+
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map((arg) => evaluate(arg, scope)));
+
+    default:
+      throw new ExpressionError(`Unknown expression node: ${node.type}`);
+  }
+}
+
+function evaluateBinary(node, scope) {
+  const { operator } = node;
+
+  // Short-circuit logic
+  if (operator === '&&') {
+    return isTruthy(evaluate(node.left, scope)) && isTruthy(evaluate(node.right, scope));
+  }
+  if (operator === '||') {
+    return isTruthy(evaluate(node.left, scope)) || isTruthy(evaluate(node.right, scope));
+  }
+
+  const left = evaluate(node.left, scope);
+  const right = evaluate(node.right, scope);
+
+  switch (operator) {
+    case '==':
+      return looseEquals(left, right);
+    case '!=':
+      return !looseEquals(left, right);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return compare(left, right, operator);
+  }
+
+  // Text joins with +, everything else is numeric
+  if (operator === '+' && (isText(left) || isText(right))) {
+    return isEmpty(left) || isEmpty(right) ? null : `${left}${right}`;
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) {
+    return null;
+  }
+
+  switch (operator) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+      return b === 0 ? null : a / b;
+    case '%':
+      return b === 0 ? null : a % b;
+    default:
+      throw new ExpressionError(`Unknown operator "${operator}"`);
+  }
+}
+
+/**
+ * Resolve a dotted reference against lookup tables first, then the form data
+ * Paths through arrays collect the value from every element
+ */
+function resolveReference(path, { data, lookups }) {
+  const [root, ...keys] = path.split('.');
+  let current = lookups && Object.hasOwn(lookups, root) ? lookups[root] : getOwn(data, root);
+
+  for (const key of keys) {
+    if (Array.isArray(current) && !/^\d+$/.test(key)) {
+      current = current.map((element) => getOwn(element, key));
+    } else {
+      current = getOwn(current, key);
+    }
+  }
+
+  return current ?? null;
+}
+
+/**
+ * Read an object's own property, so expressions cannot reach prototype members
+ */
+function getOwn(object, key) {
+  return object !== null && typeof object === 'object' && Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function compare(left, right, operator) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  const [x, y] = a !== null && b !== null ? [a, b] : [String(left ?? ''), String(right ?? '')];
+
+  switch (operator) {
+    case '<':
+      return x < y;
+    case '<=':
+      return x <= y;
+    case '>':
+      return x > y;
+    default:
+      return x >= y;
+  }
+}
+
+function looseEquals(left, right) {
+  if (isEmpty(left) || isEmpty(right)) {
+    return isEmpty(left) && isEmpty(right);
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a !== null && b !== null) {
+    return a === b;
+  }
+
+  return String(left) === String(right);
+}
+
+/**
+ * Convert a value to a number; numeric strings (e.g. select values) count as numbers
+ * @returns {number|null} The number, or null if the value is not numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  return null;
+}
+
+function numbers(args) {
+  return args.flat(Infinity).map(toNumber).filter((value) => value !== null);
+}
+
+function isText(value) {
+  return typeof value === 'string' && toNumber(value) === null;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Drop floating point noise (0.1 + 0.2) and non-finite numbers
+ */
+function normaliseResult(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Number(value.toPrecision(12)) : null;
+  }
+  return value ?? null;
+}
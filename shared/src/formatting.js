@@ -0,0 +1,253 @@
+/**
+ * Locale, time zone, date and number formatting, shared by the form and the document generator
+ *
+ * Formatting settings come from the user's defaults and the template's
+ * structure_json.metadata.formatting, the template winning:
+ *   { locale: 'en-AU', timeZone: 'Australia/Perth', dateFormat: 'DD/MM/YYYY', currency: 'AUD' }
+ *
+ * Date formats use the tokens YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH and mm;
+ * text in [brackets] is output as-is. Without a date format, dates use the locale's
+ * short date style.
+ */
+
+export const DEFAULT_FORMATTING = {
+  locale: 'en-US',
+  timeZone: 'UTC',
+  dateFormat: null,
+  currency: 'USD',
+};
+
+const DATE_TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|mm|\[[^\]]*\]/g;
+
+const MAX_DATE_FORMAT_LENGTH = 50;
+
+/**
+ * Check formatting settings
+ * @param {Object} settings - Partial formatting settings
+ * @returns {string[]} Error messages, empty if the settings are valid
+ */
+export function validateFormatting(settings) {
+  const errors = [];
+
+  if (settings === undefined || settings === null) {
+    return errors;
+  }
+  if (typeof settings !== 'object') {
+    return ['Formatting settings must be an object'];
+  }
+
+  if (isSet(settings.locale) && !isValidLocale(settings.locale)) {
+    errors.push(`Unknown locale: ${settings.locale}`);
+  }
+  if (isSet(settings.timeZone) && !isValidTimeZone(settings.timeZone)) {
+    errors.push(`Unknown time zone: ${settings.timeZone}`);
+  }
+  if (isSet(settings.dateFormat) && (typeof settings.dateFormat !== 'string' || settings.dateFormat.length > MAX_DATE_FORMAT_LENGTH)) {
+    errors.push(`Date format must be text of at most ${MAX_DATE_FORMAT_LENGTH} characters`);
+  }
+  if (isSet(settings.currency) && !/^[A-Za-z]{3}$/.test(settings.currency)) {
+    errors.push('Currency must be a three-letter code, e.g. AUD');
+  }
+
+  return errors;
+}
+
+/**
+ * Combine formatting settings over the defaults; later settings win
+ * Invalid values are ignored with a warning
+ * @param {...Object} layers - Formatting settings, e.g. user defaults then template settings
+ * @returns {Object} Complete formatting settings
+ */
+export function resolveFormatting(...layers) {
+  const formatting = { ...DEFAULT_FORMATTING };
+
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+
+    for (const key of Object.keys(DEFAULT_FORMATTING)) {
+      if (!isSet(layer[key])) continue;
+
+      const [error] = validateFormatting({ [key]: layer[key] });
+      if (error) {
+        console.warn(`Ignoring formatting setting: ${error}`);
+        continue;
+      }
+
+      formatting[key] = key === 'currency' ? layer[key].toUpperCase() : layer[key];
+    }
+  }
+
+  return formatting;
+}
+
+/**
+ * Get today's date in the formatting time zone
+ * @param {Object} formatting - Formatting settings
+ * @returns {string} Today's date in YYYY-MM-DD format
+ */
+export function getToday(formatting = DEFAULT_FORMATTING) {
+  const { year, month, day } = getZonedParts(new Date(), formatting.timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Format a date
+ * Plain YYYY-MM-DD dates are calendar dates and never shift between time zones;
+ * timestamps are shown in the formatting time zone
+ * @param {string|Date|number} value - Date to format
+ * @param {Object} formatting - Formatting settings
+ * @param {string} [format] - Date format, defaulting to the settings' dateFormat
+ * @returns {string|null} Formatted date, or null if the value is not a date
+ */
+export function formatDate(value, formatting = DEFAULT_FORMATTING, format = formatting.dateFormat) {
+  const parts = toDateParts(value, formatting.timeZone);
+  if (!parts) return null;
+
+  const calendarDate = Date.UTC(parts.year, parts.month - 1, parts.day);
+
+  if (!format) {
+    return new Intl.DateTimeFormat(formatting.locale, { timeZone: 'UTC' }).format(calendarDate);
+  }
+
+  const name = (options) => new Intl.DateTimeFormat(formatting.locale, { ...options, timeZone: 'UTC' }).format(calendarDate);
+
+  return String(format).replace(DATE_TOKEN_PATTERN, (token) => {
+    switch (token) {
+      case 'YYYY':
+        return String(parts.year);
+      case 'YY':
+        return String(parts.year).slice(-2);
+      case 'MMMM':
+        return name({ month: 'long' });
+      case 'MMM':
+        return name({ month: 'short' });
+      case 'MM':
+        return pad(parts.month);
+      case 'M':
+        return String(parts.month);
+      case 'DD':
+        return pad(parts.day);
+      case 'D':
+        return String(parts.day);
+      case 'dddd':
+        return name({ weekday: 'long' });
+      case 'ddd':
+        return name({ weekday: 'short' });
+      case 'HH':
+        return pad(parts.hours);
+      case 'mm':
+        return pad(parts.minutes);
+      default:
+        return token.slice(1, -1);
+    }
+  });
+}
+
+/**
+ * Format a number with the locale's separators
+ * @param {number|string} value - Number to format
+ * @param {Object} formatting - Formatting settings
+ * @param {number|string} [decimals] - Fixed number of decimal places
+ * @returns {string|null} Formatted number, or null if the value is not a number
+ */
+export function formatNumber(value, formatting = DEFAULT_FORMATTING, decimals) {
+  const number = toNumber(value);
+  if (number === null) return null;
+
+  const digits = isSet(decimals) ? Number(decimals) : undefined;
+  return new Intl.NumberFormat(formatting.locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(number);
+}
+
+/**
+ * Format an amount of money
+ * @param {number|string} value - Amount to format
+ * @param {Object} formatting - Formatting settings
+ * @param {string} [currency] - Currency code, defaulting to the settings' currency
+ * @returns {string|null} Formatted amount, or null if the value is not a number or the currency is unknown
+ */
+export function formatCurrency(value, formatting = DEFAULT_FORMATTING, currency = formatting.currency) {
+  const number = toNumber(value);
+  if (number === null) return null;
+
+  try {
+    return new Intl.NumberFormat(formatting.locale, { style: 'currency', currency: String(currency).toUpperCase() }).format(number);
+  } catch (error) {
+    console.warn(`Unknown currency: ${currency}`);
+    return null;
+  }
+}
+
+/**
+ * Split a date value into calendar and clock parts in a time zone
+ */
+function toDateParts(value, timeZone) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    const dateOnly = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+      return { year: Number(dateOnly[1]), month: Number(dateOnly[2]), day: Number(dateOnly[3]), hours: 0, minutes: 0 };
+    }
+    if (!trimmed) return null;
+  } else if (!(value instanceof Date) && typeof value !== 'number') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : getZonedParts(date, timeZone);
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hours: part('hour') % 24,
+    minutes: part('minute'),
+  };
+}
+
+function isValidLocale(locale) {
+  try {
+    return typeof locale === 'string' && Intl.getCanonicalLocales(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  return null;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
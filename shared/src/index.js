@@ -0,0 +1,17 @@
+/**
+ * Rules shared by the React app and the Express backend:
+ * condition evaluation, computed fields, field validation and formatting
+ */
+
+export { getNestedValue, evaluateCondition, isFieldVisible } from './conditions.js';
+export { ExpressionError, parseExpression, evaluateExpression, applyComputedFields } from './expressions.js';
+export { validateField, validateUserData } from './validation.js';
+export {
+  DEFAULT_FORMATTING,
+  validateFormatting,
+  resolveFormatting,
+  getToday,
+  formatDate,
+  formatNumber,
+  formatCurrency,
+} from './formatting.js';
@@ -0,0 +1,153 @@
+import { isFieldVisible } from './conditions.js';
+import { applyComputedFields } from './expressions.js';
+import { getToday } from './formatting.js';
+
+/**
+ * Field validation, shared by the form and the document generator
+ * Both sides report the same messages for the same data
+ */
+
+/**
+ * Validate a single field value
+ * Computed fields and fields hidden by their show_when condition are never invalid
+ * @param {Object} field - Field definition from schema_json
+ * @param {*} value - Field value
+ * @param {Object} [data] - All form data, used to decide whether the field is visible
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+export function validateField(field, value, data) {
+  if (field.type === 'computed') {
+    return null;
+  }
+
+  if (data && !isFieldVisible(field, data)) {
+    return null;
+  }
+
+  if (isBlank(field, value)) {
+    return field.required ? `${field.label} is required` : null;
+  }
+
+  const rules = field.validation || {};
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        return `${field.label} must be a number`;
+      }
+      if (isSet(rules.min) && number < rules.min) {
+        return `${field.label} must be at least ${rules.min}`;
+      }
+      if (isSet(rules.max) && number > rules.max) {
+        return `${field.label} must be at most ${rules.max}`;
+      }
+      return null;
+    }
+
+    case 'text':
+    case 'textarea':
+      if (typeof value !== 'string') {
+        return `${field.label} must be text`;
+      }
+      if (rules.minLength && value.length < rules.minLength) {
+        return `${field.label} must be at least ${rules.minLength} characters`;
+      }
+      if (rules.maxLength && value.length > rules.maxLength) {
+        return `${field.label} must be at most ${rules.maxLength} characters`;
+      }
+      return null;
+
+    case 'date':
+      if (typeof value !== 'string' || isNaN(new Date(value))) {
+        return `${field.label} must be a valid date`;
+      }
+      return null;
+
+    case 'table':
+      if (!Array.isArray(value)) {
+        return `${field.label} must be a table`;
+      }
+      return null;
+
+    case 'image':
+      if (typeof value?.path !== 'string') {
+        return `${field.label} must be an uploaded image`;
+      }
+      return null;
+
+    case 'signature':
+      if (value.date && isNaN(new Date(value.date))) {
+        return `${field.label} must have a valid date`;
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate user data against a template schema
+ * Computed fields are re-evaluated here, so submitted values for them are ignored
+ * @param {Object} userData - Submitted form data
+ * @param {Object} schema - Template schema_json
+ * @param {Object} [formatting] - Formatting settings; their time zone decides "today" in conditions
+ * @returns {Object} { valid, errors, fieldErrors, data } where fieldErrors maps
+ * field ids to messages and data holds the computed values
+ */
+export function validateUserData(userData = {}, schema, formatting) {
+  if (!schema || !schema.sections) {
+    return { valid: true, errors: [], fieldErrors: {}, data: userData }; // Can't validate without schema
+  }
+
+  const data = applyComputedFields(schema, userData);
+  const conditionData = { ...data, today: getToday(formatting) };
+  const fieldErrors = {};
+
+  schema.sections.forEach((section) => {
+    section.fields?.forEach((field) => {
+      const error = validateField(field, data[field.id], conditionData);
+      if (error) {
+        fieldErrors[field.id] = error;
+      }
+    });
+  });
+
+  const errors = Object.values(fieldErrors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    fieldErrors,
+    data,
+  };
+}
+
+/**
+ * Check whether a field has no value
+ * Number inputs report an empty value as NaN, a table with only blank rows is empty,
+ * and a signature counts only once it has been drawn
+ */
+function isBlank(field, value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (field.type === 'signature') return typeof value?.path !== 'string';
+  if (typeof value === 'number' && isNaN(value)) return true;
+  if (typeof value === 'string') return value.trim() === '';
+
+  if (Array.isArray(value)) {
+    return value.every((row) => (row !== null && typeof row === 'object'
+      ? Object.values(row).every(isBlankCell)
+      : isBlankCell(row)));
+  }
+
+  return false;
+}
+
+function isBlankCell(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}